@@ -0,0 +1,184 @@
+const fs = require('fs');
+const { saveJsonFile } = require('./jsonFile');
+
+const ACCOUNT_SETTINGS = {
+  accountsFile: process.env.ACCOUNTS_FILE || './accounts.json',
+  stateFile: process.env.ACCOUNT_STATE_FILE || './account_health.json',
+  baseCooldownMs: parseInt(process.env.ACCOUNT_COOLDOWN_MS) || 30 * 60 * 1000,
+  maxCooldownMs: 24 * 60 * 60 * 1000,
+  maxLoginFailures: 3
+};
+
+const ACCOUNT_STATUSES = ['active', 'cooling_down', 'challenged', 'disabled'];
+
+let accounts = [];
+const health = new Map();
+
+function emptyHealth(username) {
+  return {
+    username,
+    status: 'active',
+    coolingDownUntil: null,
+    runs: 0,
+    successes: 0,
+    failures: 0,
+    rateLimitQuarantines: 0,
+    consecutiveLoginFailures: 0,
+    lastUsedAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    lastErrorAt: null
+  };
+}
+
+function getHealth(username) {
+  if (!health.has(username)) {
+    health.set(username, emptyHealth(username));
+  }
+  return health.get(username);
+}
+
+function persistHealth() {
+  return saveJsonFile(ACCOUNT_SETTINGS.stateFile, Object.fromEntries(health), 'account health');
+}
+
+// Accounts come from the JSON file when it exists, otherwise from the env-configured ones
+function loadAccounts(fallbackAccounts = []) {
+  let fileAccounts = [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(ACCOUNT_SETTINGS.accountsFile, 'utf8'));
+    fileAccounts = Array.isArray(parsed) ? parsed : parsed.accounts || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.log(`⚠️ Unable to read accounts file ${ACCOUNT_SETTINGS.accountsFile}:`, error.message);
+    }
+  }
+
+  const source = fileAccounts.length ? fileAccounts : fallbackAccounts;
+  const seen = new Set();
+  accounts = source
+    .filter(account => account && account.username && account.password)
+    .filter(account => {
+      const key = account.username.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(account => ({
+      username: account.username,
+      password: account.password,
+      totpSecret: account.totpSecret || ''
+    }));
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(ACCOUNT_SETTINGS.stateFile, 'utf8'));
+    Object.values(saved).forEach(entry => {
+      if (entry && entry.username) health.set(entry.username, { ...emptyHealth(entry.username), ...entry });
+    });
+  } catch (error) {
+    // No saved health yet
+  }
+  accounts.forEach(account => getHealth(account.username));
+
+  console.log(`👥 Loaded ${accounts.length} account(s)${fileAccounts.length ? ` from ${ACCOUNT_SETTINGS.accountsFile}` : ' from environment'}`);
+  return accounts.length;
+}
+
+// Cooldowns that have run out are lifted here rather than by a timer
+function isHealthy(username) {
+  const entry = getHealth(username);
+  if (entry.status === 'cooling_down' && Date.parse(entry.coolingDownUntil) <= Date.now()) {
+    entry.status = 'active';
+    entry.coolingDownUntil = null;
+    persistHealth();
+  }
+  return entry.status === 'active';
+}
+
+function getAccounts() {
+  return accounts;
+}
+
+function getHealthyAccounts() {
+  return accounts.filter(account => isHealthy(account.username));
+}
+
+function recordAccountUse(username) {
+  const entry = getHealth(username);
+  entry.runs += 1;
+  entry.lastUsedAt = new Date().toISOString();
+  persistHealth();
+}
+
+function recordAccountSuccess(username) {
+  const entry = getHealth(username);
+  entry.successes += 1;
+  entry.consecutiveLoginFailures = 0;
+  entry.lastSuccessAt = new Date().toISOString();
+  persistHealth();
+}
+
+// reason: 'rate_limit' cools the account down (doubling each time), 'challenge' parks it until
+// an admin reset, 'login_failed' disables it after repeated failures, anything else is just recorded
+function recordAccountFailure(username, reason, message) {
+  const entry = getHealth(username);
+  entry.failures += 1;
+  entry.lastError = message ? `${reason}: ${message}` : reason;
+  entry.lastErrorAt = new Date().toISOString();
+
+  if (reason === 'rate_limit') {
+    const cooldown = Math.min(
+      ACCOUNT_SETTINGS.baseCooldownMs * 2 ** entry.rateLimitQuarantines,
+      ACCOUNT_SETTINGS.maxCooldownMs
+    );
+    entry.rateLimitQuarantines += 1;
+    entry.status = 'cooling_down';
+    entry.coolingDownUntil = new Date(Date.now() + cooldown).toISOString();
+    console.log(`🧊 Account ${username} cooling down until ${entry.coolingDownUntil}`);
+  } else if (reason === 'challenge') {
+    entry.status = 'challenged';
+    console.log(`🚫 Account ${username} quarantined after an unresolved challenge`);
+  } else if (reason === 'login_failed') {
+    entry.consecutiveLoginFailures += 1;
+    if (entry.consecutiveLoginFailures >= ACCOUNT_SETTINGS.maxLoginFailures) {
+      entry.status = 'disabled';
+      console.log(`🚫 Account ${username} disabled after ${entry.consecutiveLoginFailures} failed logins`);
+    }
+  }
+  persistHealth();
+}
+
+function findHealth(username) {
+  const account = accounts.find(item => item.username.toLowerCase() === username.toLowerCase());
+  return account ? getHealth(account.username) : null;
+}
+
+function resetAccountHealth(username, status = 'active') {
+  const entry = findHealth(username);
+  if (!entry) return null;
+  entry.status = status;
+  entry.coolingDownUntil = null;
+  entry.consecutiveLoginFailures = 0;
+  if (status === 'active') entry.rateLimitQuarantines = 0;
+  persistHealth();
+  return { ...entry };
+}
+
+function getAccountHealth() {
+  return accounts.map(account => {
+    isHealthy(account.username);
+    return { ...getHealth(account.username), hasTotpSecret: !!account.totpSecret };
+  });
+}
+
+module.exports = {
+  ACCOUNT_STATUSES,
+  loadAccounts,
+  getAccounts,
+  getHealthyAccounts,
+  recordAccountUse,
+  recordAccountSuccess,
+  recordAccountFailure,
+  resetAccountHealth,
+  getAccountHealth
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const MAX_REDIRECTS = 3;
+const DOWNLOAD_TIMEOUT_MS = 60000;
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm'
+};
+
+function getAssetDir(outputDir) {
+  return path.join(outputDir, 'assets');
+}
+
+function downloadToFile(url, destination, redirectsLeft = MAX_REDIRECTS) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.get(url, { timeout: DOWNLOAD_TIMEOUT_MS }, response => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirectsLeft <= 0) {
+          reject(new Error('Too many redirects'));
+          return;
+        }
+        const nextUrl = new URL(headers.location, url).toString();
+        resolve(downloadToFile(nextUrl, destination, redirectsLeft - 1));
+        return;
+      }
+      if (statusCode !== 200) {
+        response.resume();
+        reject(new Error(`HTTP ${statusCode}`));
+        return;
+      }
+
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      const file = fs.createWriteStream(destination);
+      response.on('data', chunk => {
+        hash.update(chunk);
+        size += chunk.length;
+      });
+      response.pipe(file);
+      file.on('finish', () => {
+        resolve({
+          sha256: hash.digest('hex'),
+          size,
+          mimeType: (headers['content-type'] || 'application/octet-stream').split(';')[0].trim()
+        });
+      });
+      file.on('error', reject);
+      response.on('error', reject);
+    });
+    request.on('timeout', () => request.destroy(new Error('Download timed out')));
+    request.on('error', reject);
+  });
+}
+
+// Downloads into a temp file, then files it under its content hash so repeat runs reuse it
+async function storeAsset(assetDir, url) {
+  const tempPath = path.join(assetDir, `.download_${process.pid}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
+  try {
+    const { sha256, size, mimeType } = await downloadToFile(url, tempPath);
+    const extension = MIME_EXTENSIONS[mimeType] || 'bin';
+    const filePath = path.join(assetDir, `${sha256}.${extension}`);
+
+    let reused = false;
+    try {
+      await fsp.access(filePath);
+      reused = true;
+      await fsp.unlink(tempPath);
+    } catch {
+      await fsp.rename(tempPath, filePath);
+    }
+
+    return { sourceUrl: url, path: filePath, sha256, size, mimeType, reused };
+  } catch (error) {
+    await fsp.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+function isDownloadable(url) {
+  return typeof url === 'string' && /^https?:\/\//.test(url);
+}
+
+// Saves every image, video and poster in the result and annotates items with local paths
+async function downloadResultMedia(result, outputDir, requestId) {
+  const assetDir = getAssetDir(outputDir);
+  await fsp.mkdir(path.join(assetDir, 'manifests'), { recursive: true });
+
+  const byUrl = new Map();
+  const failures = [];
+
+  const fetchAsset = async url => {
+    if (!isDownloadable(url)) return null;
+    if (byUrl.has(url)) return byUrl.get(url).path;
+    if (failures.some(failure => failure.sourceUrl === url)) return null;
+    try {
+      const asset = await storeAsset(assetDir, url);
+      byUrl.set(url, asset);
+      return asset.path;
+    } catch (error) {
+      console.log(`⚠️ Unable to download ${url.substring(0, 80)}: ${error.message}`);
+      failures.push({ sourceUrl: url, error: error.message });
+      return null;
+    }
+  };
+
+  const items = [...result.posts, ...result.reels];
+  console.log(`\n⬇️  Downloading media for ${items.length} items...`);
+  for (const item of items) {
+    for (const entry of item.media) {
+      entry.localPath = await fetchAsset(entry.url);
+      entry.posterLocalPath = await fetchAsset(entry.posterUrl);
+    }
+    item.localMediaPath = await fetchAsset(item.mediaUrl);
+    item.localPosterPath = await fetchAsset(item.posterUrl);
+  }
+
+  const assets = Array.from(byUrl.values());
+  const manifest = {
+    requestId,
+    createdAt: new Date().toISOString(),
+    totalAssets: assets.length,
+    reusedAssets: assets.filter(asset => asset.reused).length,
+    totalBytes: assets.reduce((sum, asset) => sum + asset.size, 0),
+    assets,
+    failures
+  };
+  const manifestPath = path.join(assetDir, 'manifests', `${requestId}.json`);
+  await fsp.writeFile(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+
+  console.log(`✓ Media stored: ${assets.length} assets (${manifest.reusedAssets} already on disk, ${failures.length} failed)`);
+  return manifestPath;
+}
+
+module.exports = {
+  downloadResultMedia
+};
@@ -0,0 +1,214 @@
+const { LEASE_SETTINGS, getLeaseStats } = require('./leaseManager');
+
+const pool = new Map();
+
+const POOL_SETTINGS = {
+  enabled: process.env.USE_BROWSER_POOL !== 'false',
+  // MAX_CONCURRENT_BROWSERS is read once by the lease manager so the two limits cannot drift
+  maxBrowsers: LEASE_SETTINGS.maxBrowsers,
+  maxTabsPerBrowser: parseInt(process.env.POOL_MAX_TABS) || 2,
+  recycleAfterItems: parseInt(process.env.POOL_RECYCLE_AFTER_ITEMS) || 150,
+  idleTimeoutMs: parseInt(process.env.POOL_IDLE_TIMEOUT_MS) || 10 * 60 * 1000
+};
+
+let idleTimer = null;
+
+function poolKey(accountName, proxy) {
+  return `${accountName}|${proxy || 'direct'}`;
+}
+
+function isUsable(entry) {
+  return (
+    !entry.stale &&
+    !!entry.browser &&
+    entry.browser.isConnected() &&
+    entry.itemsServed < POOL_SETTINGS.recycleAfterItems
+  );
+}
+
+async function destroyEntry(entry, reason) {
+  if (pool.get(entry.key) === entry) {
+    pool.delete(entry.key);
+  }
+  const { browser } = entry;
+  entry.browser = null;
+  entry.idleTabs = [];
+  if (browser) {
+    console.log(`♻️  Closing pooled browser ${entry.key} (${reason})`);
+    try {
+      await browser.close();
+    } catch (error) {
+      // Already gone after a crash
+    }
+  }
+}
+
+function startIdleSweep() {
+  if (idleTimer) return;
+  idleTimer = setInterval(() => {
+    const cutoff = Date.now() - POOL_SETTINGS.idleTimeoutMs;
+    for (const entry of pool.values()) {
+      if (!entry.inUse && entry.lastUsedAt < cutoff) {
+        destroyEntry(entry, 'idle');
+      }
+    }
+  }, 60000);
+  idleTimer.unref();
+}
+
+// Keeps idle warm browsers from pushing the process past the global browser limit. Every
+// lease may drive a browser of its own, so idle ones only keep the slots leases leave free.
+// Call it after taking a lease and before launching any browser, pooled or not.
+async function evictIdleBrowsers() {
+  const idle = Array.from(pool.values())
+    .filter(entry => !entry.inUse)
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+  while (idle.length && idle.length + getLeaseStats().activeLeases > POOL_SETTINGS.maxBrowsers) {
+    await destroyEntry(idle.shift(), 'evicted');
+  }
+}
+
+// Hands out a warm browser for the key, launching one when none is free; an entry already
+// leased to another run gets a throwaway browser so the two never share a main page
+async function acquireBrowser(key, launchBrowser) {
+  if (POOL_SETTINGS.enabled) {
+    const existing = pool.get(key);
+    if (existing && !existing.inUse) {
+      if (isUsable(existing)) {
+        existing.inUse = true;
+        existing.lastUsedAt = Date.now();
+        existing.leases += 1;
+        return existing;
+      }
+      await destroyEntry(existing, existing.browser && existing.browser.isConnected() ? 'recycle' : 'crashed');
+    }
+  }
+
+  await evictIdleBrowsers();
+  const browser = await launchBrowser();
+  const entry = {
+    key,
+    browser,
+    mainPage: null,
+    proxyUsed: null,
+    loggedIn: false,
+    stale: false,
+    pooled: POOL_SETTINGS.enabled && !pool.has(key),
+    inUse: true,
+    idleTabs: [],
+    openTabs: 0,
+    itemsServed: 0,
+    leases: 1,
+    createdAt: Date.now(),
+    lastUsedAt: Date.now()
+  };
+  browser.on('disconnected', () => {
+    if (pool.get(key) === entry) pool.delete(key);
+    entry.browser = null;
+  });
+  if (entry.pooled) {
+    pool.set(key, entry);
+    startIdleSweep();
+  }
+  return entry;
+}
+
+async function releaseBrowser(entry) {
+  entry.inUse = false;
+  entry.lastUsedAt = Date.now();
+  if (!entry.pooled) {
+    await destroyEntry(entry, 'unpooled');
+  } else if (!isUsable(entry)) {
+    await destroyEntry(entry, entry.browser ? 'recycle' : 'crashed');
+  }
+}
+
+async function discardBrowser(entry, reason = 'discarded') {
+  entry.inUse = false;
+  await destroyEntry(entry, reason);
+}
+
+// Called when an account's saved login is replaced or deleted: idle browsers for it are
+// closed, and busy ones are marked stale so their session is neither reused nor saved back
+async function invalidateAccountBrowsers(matchesAccount, reason = 'session_changed') {
+  let count = 0;
+  for (const entry of Array.from(pool.values())) {
+    if (!matchesAccount(entry.key.split('|')[0])) continue;
+    count += 1;
+    entry.stale = true;
+    entry.loggedIn = false;
+    if (!entry.inUse) await destroyEntry(entry, reason);
+  }
+  return count;
+}
+
+async function acquireTab(entry) {
+  const tab = entry.idleTabs.pop();
+  if (tab && !tab.isClosed()) return tab;
+  entry.openTabs += 1;
+  return entry.browser.newPage();
+}
+
+// Tabs beyond the per-browser limit are closed instead of being kept for reuse
+async function releaseTab(entry, tab) {
+  entry.itemsServed += 1;
+  tab.removeAllListeners('response');
+  tab.removeAllListeners('request');
+  if (!entry.browser || tab.isClosed()) {
+    entry.openTabs = Math.max(0, entry.openTabs - 1);
+    return;
+  }
+  if (entry.idleTabs.length < POOL_SETTINGS.maxTabsPerBrowser) {
+    try {
+      await tab.goto('about:blank');
+      entry.idleTabs.push(tab);
+      return;
+    } catch (error) {
+      // Fall through and close the broken tab
+    }
+  }
+  entry.openTabs = Math.max(0, entry.openTabs - 1);
+  try {
+    await tab.close();
+  } catch (error) {}
+}
+
+function getPoolStats() {
+  const browsers = Array.from(pool.values()).map(entry => ({
+    key: entry.key,
+    connected: !!entry.browser && entry.browser.isConnected(),
+    inUse: entry.inUse,
+    loggedIn: entry.loggedIn,
+    stale: entry.stale,
+    openTabs: entry.openTabs,
+    idleTabs: entry.idleTabs.length,
+    itemsServed: entry.itemsServed,
+    leases: entry.leases,
+    createdAt: new Date(entry.createdAt).toISOString(),
+    lastUsedAt: new Date(entry.lastUsedAt).toISOString()
+  }));
+  return {
+    enabled: POOL_SETTINGS.enabled,
+    settings: { ...POOL_SETTINGS },
+    totalBrowsers: browsers.length,
+    busyBrowsers: browsers.filter(entry => entry.inUse).length,
+    browsers
+  };
+}
+
+async function closeAllBrowsers() {
+  await Promise.all(Array.from(pool.values()).map(entry => destroyEntry(entry, 'shutdown')));
+}
+
+module.exports = {
+  poolKey,
+  acquireBrowser,
+  releaseBrowser,
+  discardBrowser,
+  evictIdleBrowsers,
+  invalidateAccountBrowsers,
+  acquireTab,
+  releaseTab,
+  getPoolStats,
+  closeAllBrowsers
+};
@@ -0,0 +1,172 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// Labels are rendered in the browser's time zone, which may run a little ahead of the server clock
+const MAX_LABEL_SKEW_MS = 2 * HOUR_MS;
+
+// Request durations: "m" stays a month because "1m" has always meant one month here
+const DURATION_UNITS = {
+  min: MINUTE_MS, mins: MINUTE_MS, minute: MINUTE_MS, minutes: MINUTE_MS,
+  h: HOUR_MS, hour: HOUR_MS, hours: HOUR_MS,
+  d: DAY_MS, day: DAY_MS, days: DAY_MS,
+  w: 7 * DAY_MS, week: 7 * DAY_MS, weeks: 7 * DAY_MS,
+  m: 30 * DAY_MS, mo: 30 * DAY_MS, month: 30 * DAY_MS, months: 30 * DAY_MS,
+  y: 365 * DAY_MS, year: 365 * DAY_MS, years: 365 * DAY_MS
+};
+
+// Instagram's own relative labels, where "5m" is five minutes ago
+const DISPLAY_UNITS = {
+  s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+  m: MINUTE_MS, min: MINUTE_MS, mins: MINUTE_MS, minute: MINUTE_MS, minutes: MINUTE_MS,
+  h: HOUR_MS, hr: HOUR_MS, hrs: HOUR_MS, hour: HOUR_MS, hours: HOUR_MS,
+  d: DAY_MS, day: DAY_MS, days: DAY_MS,
+  w: 7 * DAY_MS, wk: 7 * DAY_MS, week: 7 * DAY_MS, weeks: 7 * DAY_MS,
+  mo: 30 * DAY_MS, month: 30 * DAY_MS, months: 30 * DAY_MS,
+  y: 365 * DAY_MS, yr: 365 * DAY_MS, year: 365 * DAY_MS, years: 365 * DAY_MS
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "10d", "3 hours", "1week" -> milliseconds, or null
+function parseDuration(value) {
+  const match = String(value || '').trim().toLowerCase().match(/^(\d+)\s*([a-z]+)$/);
+  if (!match || !DURATION_UNITS[match[2]]) return null;
+  return parseInt(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// since/until accept a duration counted back from now or an ISO date/date-time.
+// With endOfDay a date-only value covers that whole UTC day, so "until" includes it.
+function parseDateInput(value, now = new Date(), { endOfDay = false } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const duration = parseDuration(value);
+  if (duration !== null) return new Date(now.getTime() - duration);
+  const text = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/i.test(text)) return null;
+  const date = new Date(text);
+  if (isNaN(date.getTime())) return null;
+  return endOfDay && text.length === 10 ? new Date(date.getTime() + DAY_MS - 1) : date;
+}
+
+// Returns an error message for an invalid timePeriod/since/until combination, or null
+function validateDateRange({ timePeriod, since, until }) {
+  if (timePeriod && parseDuration(timePeriod) === null) {
+    return 'Invalid time period. Use a duration such as "1h", "24h", "10d", "2w", "1m" or "1y"';
+  }
+  if (timePeriod && since) {
+    return 'Use either timePeriod or since, not both';
+  }
+  const now = new Date();
+  const sinceDate = parseDateInput(since, now);
+  const untilDate = parseDateInput(until, now, { endOfDay: true });
+  if (since && !sinceDate) {
+    return 'since must be an ISO date (e.g. "2024-03-01" or "2024-03-01T12:00:00Z") or a duration such as "10d"';
+  }
+  if (until && !untilDate) {
+    return 'until must be an ISO date (e.g. "2024-03-31") or a duration such as "2d"';
+  }
+  const lowerBound = sinceDate || (timePeriod ? new Date(now.getTime() - parseDuration(timePeriod)) : null);
+  if (lowerBound && untilDate && lowerBound >= untilDate) {
+    return 'The range start must be before until';
+  }
+  return null;
+}
+
+// { since, until, label }; until is null when the range is open-ended
+function resolveDateRange({ timePeriod, since, until, defaultDays }, now = new Date()) {
+  let sinceDate;
+  let label;
+  if (since) {
+    sinceDate = parseDateInput(since, now);
+    label = `since ${since}`;
+  } else if (timePeriod) {
+    sinceDate = new Date(now.getTime() - parseDuration(timePeriod));
+    label = timePeriod;
+  } else {
+    sinceDate = new Date(now.getTime() - defaultDays * DAY_MS);
+    label = `last ${defaultDays} days`;
+  }
+  const untilDate = parseDateInput(until, now, { endOfDay: true });
+  if (untilDate) label += ` until ${until}`;
+  return { since: sinceDate, until: untilDate, label };
+}
+
+function buildDate(year, monthIndex, day) {
+  const date = new Date(year, monthIndex, day);
+  return date.getMonth() === monthIndex && date.getDate() === day ? date : null;
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(String(name).slice(0, 3));
+}
+
+// Parses the labels Instagram shows under posts: "5m", "3 hours ago", "Yesterday", "March 3",
+// "3 March 2023", "Mar 3, 2023" or ISO dates. Returns null when the text is not a date.
+function parseInstagramDate(dateString, now = new Date()) {
+  if (!dateString) return null;
+  const text = String(dateString)
+    .trim()
+    .toLowerCase()
+    .replace(/^[•·\s]+|[•·\s]+$/g, '')
+    .replace(/\s+ago$/, '')
+    .replace(/\s+/g, ' ');
+
+  if (text === 'now' || text === 'just now') return new Date(now.getTime());
+  if (text === 'yesterday') return new Date(now.getTime() - DAY_MS);
+
+  const relative = text.match(/^(\d+|an?|one) ?([a-z]+)$/);
+  if (relative && DISPLAY_UNITS[relative[2]]) {
+    const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1]) : 1;
+    return new Date(now.getTime() - amount * DISPLAY_UNITS[relative[2]]);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    const date = new Date(dateString.trim());
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // "march 3", "mar. 3, 2023" or "3 march 2023"
+  const monthFirst = text.match(/^([a-z]{3,})\.? (\d{1,2})(?:,? (\d{4}))?$/);
+  const dayFirst = text.match(/^(\d{1,2}) ([a-z]{3,})\.?,?(?: (\d{4}))?$/);
+  const parts = monthFirst
+    ? { month: monthFirst[1], day: monthFirst[2], year: monthFirst[3] }
+    : dayFirst
+      ? { month: dayFirst[2], day: dayFirst[1], year: dayFirst[3] }
+      : null;
+  if (!parts || monthIndex(parts.month) === -1) return null;
+
+  const month = monthIndex(parts.month);
+  const day = parseInt(parts.day);
+  if (parts.year) return buildDate(parseInt(parts.year), month, day);
+
+  // Without a year Instagram means the most recent such day
+  const thisYear = buildDate(now.getFullYear(), month, day);
+  if (thisYear && thisYear.getTime() <= now.getTime() + MAX_LABEL_SKEW_MS) return thisYear;
+  return buildDate(now.getFullYear() - 1, month, day);
+}
+
+// Prefers the machine-readable time[datetime] value over the displayed label
+function getItemDate(item, now = new Date()) {
+  if (item && item.timestamp) {
+    const date = new Date(item.timestamp);
+    if (!isNaN(date.getTime())) return date;
+  }
+  return parseInstagramDate(item && item.timeText, now);
+}
+
+// -1 older than the range, 1 newer than it, 0 inside it; undated items are kept
+function compareToRange(date, range) {
+  if (!date) return 0;
+  if (date < range.since) return -1;
+  if (range.until && date > range.until) return 1;
+  return 0;
+}
+
+module.exports = {
+  parseDuration,
+  parseDateInput,
+  validateDateRange,
+  resolveDateRange,
+  parseInstagramDate,
+  getItemDate,
+  compareToRange
+};
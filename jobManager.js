@@ -0,0 +1,181 @@
+const { EventEmitter } = require('events');
+
+const jobs = new Map();
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+const MAX_BUFFERED_EVENTS = 500;
+const TERMINAL_EVENTS = { completed: 'finished', failed: 'failed', cancelled: 'cancelled' };
+
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (FINISHED_STATES.includes(job.state) && job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+function createJob(requestId, params = {}) {
+  pruneFinishedJobs();
+  const job = {
+    id: requestId,
+    state: 'queued',
+    params,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    runMetrics: null,
+    browser: null,
+    done: null,
+    cancelRequested: false,
+    result: null,
+    error: null,
+    events: [],
+    nextEventId: 1,
+    ended: false,
+    emitter: new EventEmitter()
+  };
+  job.emitter.setMaxListeners(0);
+  jobs.set(requestId, job);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function isJobCancelled(job) {
+  return !!(job && job.cancelRequested);
+}
+
+function throwIfCancelled(job) {
+  if (isJobCancelled(job)) {
+    throw new Error('Job cancelled by request');
+  }
+}
+
+// Buffers the event for late subscribers and pushes it to live ones; a no-op without a job
+function emitJobEvent(job, type, data = {}) {
+  if (!job) return;
+  const event = { id: job.nextEventId++, type, at: new Date().toISOString(), ...data };
+  job.events.push(event);
+  if (job.events.length > MAX_BUFFERED_EVENTS) {
+    job.events.shift();
+  }
+  job.emitter.emit('event', event);
+}
+
+function emitTerminalEvent(job) {
+  job.ended = true;
+  emitJobEvent(job, TERMINAL_EVENTS[job.state] || 'finished', {
+    state: job.state,
+    error: job.error,
+    result: job.result,
+    final: true
+  });
+}
+
+// True once the final event is out; nothing more will be emitted for the job
+function hasJobEnded(job) {
+  return job.ended;
+}
+
+// Replays buffered events newer than lastEventId, then follows live ones until unsubscribed
+function subscribeJob(job, listener, lastEventId = 0) {
+  job.events.filter(event => event.id > lastEventId).forEach(listener);
+  job.emitter.on('event', listener);
+  return () => job.emitter.off('event', listener);
+}
+
+// Runs the task in the background; the caller gets the job back immediately and can
+// await job.done to learn when it settles
+function runJob(job, task) {
+  job.done = new Promise(resolve => {
+    setImmediate(async () => {
+      if (job.cancelRequested) {
+        emitTerminalEvent(job);
+        resolve(job);
+        return;
+      }
+      job.state = 'running';
+      job.startedAt = new Date().toISOString();
+      emitJobEvent(job, 'started', { requestId: job.id });
+      try {
+        job.result = await task(job);
+        if (!job.cancelRequested) {
+          job.state = 'completed';
+        }
+      } catch (error) {
+        if (!job.cancelRequested) {
+          job.state = 'failed';
+          job.error = error.message;
+        }
+      } finally {
+        job.browser = null;
+        if (!job.finishedAt) {
+          job.finishedAt = new Date().toISOString();
+        }
+        emitTerminalEvent(job);
+        resolve(job);
+      }
+    });
+  });
+  return job;
+}
+
+async function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (FINISHED_STATES.includes(job.state)) return job;
+
+  job.cancelRequested = true;
+  job.state = 'cancelled';
+  job.finishedAt = new Date().toISOString();
+  console.log(`[${id}] 🛑 Cancellation requested`);
+
+  if (job.browser) {
+    const browser = job.browser;
+    job.browser = null;
+    try {
+      await browser.close();
+      console.log(`[${id}] ✓ Browser closed after cancellation`);
+    } catch (error) {
+      console.error(`[${id}] Error closing browser:`, error.message);
+    }
+  }
+  return job;
+}
+
+function serializeJob(job) {
+  const metrics = job.runMetrics || {};
+  return {
+    id: job.id,
+    state: job.state,
+    params: job.params,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: {
+      postsSaved: metrics.postsSaved || 0,
+      reelsSaved: metrics.reelsSaved || 0,
+      rateLimitEvents: metrics.rateLimitEvents || 0,
+      notes: metrics.notes || []
+    },
+    result: job.result,
+    error: job.error
+  };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  runJob,
+  cancelJob,
+  isJobCancelled,
+  throwIfCancelled,
+  emitJobEvent,
+  subscribeJob,
+  hasJobEnded,
+  serializeJob
+};
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const fsp = fs.promises;
+
+const pendingWrites = new Map();
+
+async function writeAtomically(filePath, text) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    await fsp.writeFile(tempPath, text, 'utf8');
+    await fsp.rename(tempPath, filePath);
+  } catch (error) {
+    await fsp.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+// Writes to the same file are chained so two quick updates never interleave on disk, and
+// each one goes through a temp file so a crash mid-write cannot leave half a JSON document.
+// The data is serialized right away; failures are logged with `label` instead of thrown.
+function saveJsonFile(filePath, data, label) {
+  const text = JSON.stringify(data, null, 2);
+  const previous = pendingWrites.get(filePath) || Promise.resolve();
+  const write = previous
+    .then(() => writeAtomically(filePath, text))
+    .catch(error => console.log(`⚠️ Unable to save ${label}:`, error.message));
+  pendingWrites.set(filePath, write);
+  write.then(() => {
+    if (pendingWrites.get(filePath) === write) pendingWrites.delete(filePath);
+  });
+  return write;
+}
+
+module.exports = {
+  saveJsonFile
+};
@@ -0,0 +1,113 @@
+const LEASE_SETTINGS = {
+  maxBrowsers: parseInt(process.env.MAX_CONCURRENT_BROWSERS) || 2,
+  waitTimeoutMs: parseInt(process.env.LEASE_WAIT_TIMEOUT_MS) || 2 * 60 * 1000,
+  maxQueueLength: parseInt(process.env.MAX_LEASE_QUEUE) || 10
+};
+
+const leasedAccounts = new Map();
+const waiters = [];
+let activeLeases = 0;
+
+function capacityError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Returns the first candidate account nobody holds, or undefined when all are busy
+function pickFreeAccount(accounts) {
+  if (!accounts) return null;
+  return accounts.find(account => !leasedAccounts.has(account.username));
+}
+
+function grantLease(account, requestId) {
+  activeLeases += 1;
+  if (account) {
+    leasedAccounts.set(account.username, { requestId, since: new Date().toISOString() });
+  }
+
+  let released = false;
+  return {
+    account,
+    requestId,
+    release() {
+      if (released) return;
+      released = true;
+      activeLeases -= 1;
+      if (account) leasedAccounts.delete(account.username);
+      drainWaiters();
+    }
+  };
+}
+
+function tryGrant(accounts, requestId) {
+  if (activeLeases >= LEASE_SETTINGS.maxBrowsers) return null;
+  const account = pickFreeAccount(accounts);
+  if (account === undefined) return null;
+  return grantLease(account, requestId);
+}
+
+// Waiters are served in arrival order, skipping ones whose accounts are all still busy
+function drainWaiters() {
+  for (let i = 0; i < waiters.length && activeLeases < LEASE_SETTINGS.maxBrowsers; ) {
+    const waiter = waiters[i];
+    const lease = tryGrant(waiter.accounts, waiter.requestId);
+    if (!lease) {
+      i += 1;
+      continue;
+    }
+    waiters.splice(i, 1);
+    clearTimeout(waiter.timer);
+    waiter.resolve(lease);
+  }
+}
+
+// Takes one browser slot plus exclusive use of one of the given accounts (pass null when
+// no account is needed). Rejects with statusCode 429 when the queue is full and 503 on timeout.
+function acquireLease(accounts, requestId, { timeoutMs = LEASE_SETTINGS.waitTimeoutMs } = {}) {
+  if (accounts && !accounts.length) {
+    return Promise.reject(new Error('No accounts available to lease'));
+  }
+
+  const lease = tryGrant(accounts, requestId);
+  if (lease) return Promise.resolve(lease);
+
+  if (waiters.length >= LEASE_SETTINGS.maxQueueLength) {
+    return Promise.reject(capacityError(
+      `Scraper is at capacity (${activeLeases} active, ${waiters.length} queued); try again later`,
+      429
+    ));
+  }
+
+  console.log(`[${requestId}] ⏳ Waiting for a free account/browser slot (${waiters.length + 1} in queue)...`);
+  return new Promise((resolve, reject) => {
+    const waiter = { accounts, requestId, resolve, timer: null };
+    waiter.timer = setTimeout(() => {
+      const index = waiters.indexOf(waiter);
+      if (index !== -1) waiters.splice(index, 1);
+      reject(capacityError(
+        `Timed out after ${Math.round(timeoutMs / 1000)}s waiting for a free account/browser slot`,
+        503
+      ));
+    }, timeoutMs);
+    waiters.push(waiter);
+  });
+}
+
+function getLeaseStats() {
+  return {
+    settings: { ...LEASE_SETTINGS },
+    activeLeases,
+    queued: waiters.length,
+    accounts: Array.from(leasedAccounts.entries()).map(([username, lease]) => ({
+      username,
+      ...lease
+    }))
+  };
+}
+
+module.exports = {
+  LEASE_SETTINGS,
+  acquireLease,
+  getLeaseStats
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CODE_PATTERN = /^\d{6,8}$/;
+
+const pendingChallenges = new Map();
+
+function base32Decode(secret) {
+  const cleaned = String(secret).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of cleaned) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('TOTP secret is not valid base32');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 6238 time-based code, the same one authenticator apps show for the secret
+function generateTotp(secret, { time = Date.now(), step = 30, digits = 6 } = {}) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / step)));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+function isValidChallengeCode(code) {
+  return CODE_PATTERN.test(String(code || '').trim());
+}
+
+// Parks the login until a human submits the emailed/SMS code for this account
+function waitForChallengeCode(username, { requestId, kind, attempt = 1, timeoutMs, isCancelled = () => false }) {
+  const key = username.toLowerCase();
+  if (pendingChallenges.has(key)) {
+    return Promise.reject(new Error(`A challenge is already pending for ${username}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const challenge = {
+      username,
+      requestId,
+      kind,
+      attempt,
+      requestedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + timeoutMs).toISOString()
+    };
+
+    const finish = (error, code) => {
+      clearTimeout(timer);
+      clearInterval(cancelWatch);
+      pendingChallenges.delete(key);
+      if (error) reject(error);
+      else resolve(code);
+    };
+    const timer = setTimeout(
+      () => finish(new Error(`No challenge code submitted for ${username} within ${Math.round(timeoutMs / 1000)}s`)),
+      timeoutMs
+    );
+    const cancelWatch = setInterval(() => {
+      if (isCancelled()) finish(new Error('Job cancelled by request'));
+    }, 1000);
+
+    challenge.submit = code => finish(null, String(code).trim());
+    pendingChallenges.set(key, challenge);
+  });
+}
+
+function submitChallengeCode(username, code) {
+  const challenge = pendingChallenges.get(username.toLowerCase());
+  if (!challenge) return null;
+  const { submit, ...details } = challenge;
+  submit(code);
+  return details;
+}
+
+function getPendingChallenge(username) {
+  const challenge = pendingChallenges.get(username.toLowerCase());
+  if (!challenge) return null;
+  const { submit, ...details } = challenge;
+  return details;
+}
+
+module.exports = {
+  generateTotp,
+  isValidChallengeCode,
+  waitForChallengeCode,
+  submitChallengeCode,
+  getPendingChallenge
+};
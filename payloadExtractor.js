@@ -0,0 +1,305 @@
+// Matched by path only, so a local stand-in server serving recorded payloads is captured too
+const PAYLOAD_URL_PATTERN = /\/graphql\/|\/api\/v1\//;
+
+function recordPayloads(page) {
+  const payloads = [];
+  page.on('response', async response => {
+    try {
+      const url = response.url();
+      const contentType = response.headers()['content-type'] || '';
+      if (!PAYLOAD_URL_PATTERN.test(url)) return;
+      if (!contentType.includes('json') && !contentType.includes('javascript')) return;
+      const body = await response.text();
+      payloads.push({ url, status: response.status(), body });
+    } catch (error) {
+      // Body is unavailable for redirects and closed pages
+    }
+  });
+  return payloads;
+}
+
+// Server-rendered pages ship their relay data in JSON script tags rather than XHR responses
+async function collectEmbeddedPayloads(page, shortcode) {
+  try {
+    const bodies = await page.evaluate(code => {
+      return Array.from(document.querySelectorAll('script[type="application/json"]'))
+        .map(script => script.textContent || '')
+        .filter(text => text.includes(code));
+    }, shortcode);
+    return bodies.map(body => ({ url: 'embedded', status: 200, body }));
+  } catch (error) {
+    console.log('Embedded payload lookup failed:', error.message);
+    return [];
+  }
+}
+
+function parsePayloadBody(body) {
+  if (!body) return null;
+  // GraphQL responses are sometimes prefixed with "for (;;);" to prevent JSON hijacking
+  const cleaned = body.replace(/^for\s*\(;;\);/, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Every node in a grid response that carries a shortcode and a post time
+function collectTakenAt(root, timestamps) {
+  const stack = [root];
+  const seen = new Set();
+  while (stack.length) {
+    const current = stack.pop();
+    if (!current || typeof current !== 'object' || seen.has(current)) continue;
+    seen.add(current);
+    const code = current.shortcode || current.code;
+    const takenAt = current.taken_at_timestamp || current.taken_at;
+    if (typeof code === 'string' && typeof takenAt === 'number' && !timestamps.has(code)) {
+      timestamps.set(code, new Date(takenAt * 1000).toISOString());
+    }
+    Object.values(current).forEach(value => {
+      if (value && typeof value === 'object') stack.push(value);
+    });
+  }
+}
+
+// Grid tiles carry no dates, but the feed responses behind them do; maps shortcode -> ISO time.
+// Attach it before navigating so the first screen of tiles is dated too.
+function watchGridTimestamps(page) {
+  const timestamps = new Map();
+  const listener = async response => {
+    try {
+      if (!PAYLOAD_URL_PATTERN.test(response.url())) return;
+      const parsed = parsePayloadBody(await response.text());
+      if (parsed) collectTakenAt(parsed, timestamps);
+    } catch (error) {
+      // Body is unavailable for redirects and closed pages
+    }
+  };
+  page.on('response', listener);
+  return {
+    timestamps,
+    // Server-rendered first tiles come with the page's embedded relay data instead of a response
+    readEmbedded: async () => {
+      try {
+        const bodies = await page.evaluate(() =>
+          Array.from(document.querySelectorAll('script[type="application/json"]'))
+            .map(script => script.textContent || '')
+            .filter(text => text.includes('taken_at'))
+        );
+        bodies.forEach(body => {
+          const parsed = parsePayloadBody(body);
+          if (parsed) collectTakenAt(parsed, timestamps);
+        });
+      } catch (error) {
+        console.log('Embedded grid dates lookup failed:', error.message);
+      }
+    },
+    stop: () => page.off('response', listener)
+  };
+}
+
+function isMediaNode(node, shortcode) {
+  if (!node || typeof node !== 'object') return false;
+  const code = node.shortcode || node.code;
+  if (code !== shortcode) return false;
+  return (
+    'taken_at_timestamp' in node ||
+    'taken_at' in node ||
+    'edge_media_preview_like' in node ||
+    'like_count' in node ||
+    'owner' in node ||
+    'user' in node
+  );
+}
+
+function findMediaNode(root, shortcode) {
+  const stack = [root];
+  const seen = new Set();
+  while (stack.length) {
+    const current = stack.pop();
+    if (!current || typeof current !== 'object' || seen.has(current)) continue;
+    seen.add(current);
+    if (isMediaNode(current, shortcode)) return current;
+    Object.values(current).forEach(value => {
+      if (value && typeof value === 'object') stack.push(value);
+    });
+  }
+  return null;
+}
+
+function firstNumber(...values) {
+  for (const value of values) {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value;
+  }
+  return null;
+}
+
+function bestCandidate(candidates) {
+  if (!Array.isArray(candidates) || !candidates.length) return null;
+  return candidates.reduce((best, candidate) =>
+    (candidate.width || 0) > (best.width || 0) ? candidate : best
+  );
+}
+
+function normalizeMediaEntry(node) {
+  const isVideo = node.is_video === true || node.media_type === 2 || !!node.video_url || !!node.video_versions;
+  const image = bestCandidate(node.image_versions2 && node.image_versions2.candidates);
+  const video = bestCandidate(node.video_versions);
+  const dimensions = node.dimensions || {};
+  const userTags = node.edge_media_to_tagged_user
+    ? node.edge_media_to_tagged_user.edges.map(edge => edge.node.user.username)
+    : ((node.usertags && node.usertags.in) || []).map(tag => tag.user.username);
+  return {
+    type: isVideo ? 'video' : 'image',
+    url: isVideo
+      ? node.video_url || (video && video.url) || null
+      : node.display_url || (image && image.url) || null,
+    posterUrl: isVideo ? node.display_url || (image && image.url) || null : null,
+    width: dimensions.width || node.original_width || (image && image.width) || null,
+    height: dimensions.height || node.original_height || (image && image.height) || null,
+    altText: node.accessibility_caption || '',
+    userTags: userTags.filter(Boolean)
+  };
+}
+
+function normalizeMediaNode(node) {
+  const owner = node.owner || node.user || {};
+  const captionEdge = node.edge_media_to_caption && node.edge_media_to_caption.edges[0];
+  const caption = captionEdge
+    ? captionEdge.node.text
+    : (node.caption && node.caption.text) || '';
+  const takenAt = node.taken_at_timestamp || node.taken_at || null;
+
+  const children = node.edge_sidecar_to_children
+    ? node.edge_sidecar_to_children.edges.map(edge => edge.node)
+    : node.carousel_media || [node];
+
+  return {
+    shortcode: node.shortcode || node.code,
+    likes: firstNumber(
+      node.edge_media_preview_like && node.edge_media_preview_like.count,
+      node.edge_liked_by && node.edge_liked_by.count,
+      node.like_count
+    ),
+    commentsCount: firstNumber(
+      node.edge_media_to_parent_comment && node.edge_media_to_parent_comment.count,
+      node.edge_media_to_comment && node.edge_media_to_comment.count,
+      node.comment_count
+    ),
+    views: firstNumber(node.video_play_count, node.play_count, node.video_view_count, node.view_count),
+    owner: owner.username
+      ? {
+          username: owner.username,
+          fullName: owner.full_name || '',
+          profileUrl: `https://www.instagram.com/${owner.username}/`
+        }
+      : null,
+    caption,
+    timestamp: takenAt ? new Date(takenAt * 1000).toISOString() : null,
+    location: (node.location && node.location.name) || '',
+    media: children.map(normalizeMediaEntry)
+  };
+}
+
+function buildRecordFromPayloads(payloads, shortcode) {
+  if (!shortcode) return null;
+  for (const payload of payloads || []) {
+    if (!payload || !payload.body || !payload.body.includes(shortcode)) continue;
+    const json = parsePayloadBody(payload.body);
+    const node = json && findMediaNode(json, shortcode);
+    if (node) return normalizeMediaNode(node);
+  }
+  return null;
+}
+
+function isCommentNode(node) {
+  return (
+    !!node &&
+    typeof node === 'object' &&
+    typeof node.text === 'string' &&
+    'created_at' in node &&
+    !!(node.owner || node.user)
+  );
+}
+
+// Walks payloads in order, linking replies to the comment they were nested under
+function collectCommentNodes(root, comments, parentId = null) {
+  if (!root || typeof root !== 'object') return;
+  if (Array.isArray(root)) {
+    root.forEach(value => collectCommentNodes(value, comments, parentId));
+    return;
+  }
+
+  let currentParent = parentId;
+  if (isCommentNode(root)) {
+    const id = String(root.pk || root.id || '');
+    if (id && !comments.has(id)) {
+      const user = root.owner || root.user;
+      comments.set(id, {
+        id,
+        parentId: root.parent_comment_id ? String(root.parent_comment_id) : parentId,
+        username: user.username || null,
+        text: root.text,
+        timestamp: root.created_at ? new Date(root.created_at * 1000).toISOString() : null,
+        likes: firstNumber(
+          root.comment_like_count,
+          root.edge_liked_by && root.edge_liked_by.count
+        )
+      });
+    }
+    currentParent = id || parentId;
+  }
+
+  Object.entries(root).forEach(([key, value]) => {
+    // Captions share the comment shape but are not comments
+    if (key === 'caption' || !value || typeof value !== 'object') return;
+    collectCommentNodes(value, comments, currentParent);
+  });
+}
+
+function buildCommentsFromPayloads(payloads, { limit, includeReplies = false }) {
+  const comments = new Map();
+  for (const payload of payloads || []) {
+    if (!payload || !payload.body || !payload.body.includes('created_at')) continue;
+    const json = parsePayloadBody(payload.body);
+    if (json) collectCommentNodes(json, comments);
+  }
+
+  const all = Array.from(comments.values());
+  return all
+    .filter(comment => !comment.parentId || !comments.has(comment.parentId))
+    .slice(0, limit)
+    .map(({ parentId, ...comment }) => ({
+      ...comment,
+      replies: includeReplies
+        ? all
+            .filter(reply => reply.parentId === comment.id)
+            .slice(0, limit)
+            .map(({ parentId: replyParent, ...reply }) => ({ ...reply, replies: [] }))
+        : []
+    }));
+}
+
+async function extractCommentsFromPayloads(page, payloads, shortcode, options) {
+  const comments = buildCommentsFromPayloads(payloads, options);
+  if (comments.length) return comments;
+  const embedded = await collectEmbeddedPayloads(page, shortcode);
+  return buildCommentsFromPayloads(embedded, options);
+}
+
+async function extractFromPayloads(page, payloads, shortcode) {
+  const record = buildRecordFromPayloads(payloads, shortcode);
+  if (record) return record;
+  const embedded = await collectEmbeddedPayloads(page, shortcode);
+  return buildRecordFromPayloads(embedded, shortcode);
+}
+
+module.exports = {
+  recordPayloads,
+  watchGridTimestamps,
+  buildRecordFromPayloads,
+  extractFromPayloads,
+  buildCommentsFromPayloads,
+  extractCommentsFromPayloads
+};
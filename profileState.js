@@ -0,0 +1,65 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Kept next to the saved logins; the dash keeps it from ever matching a session label
+const STATE_ROOT = path.join(__dirname, 'session_data', 'profile-state');
+const LEGACY_STATE_ROOT = path.join(__dirname, 'profile_state');
+const MAX_KNOWN_SHORTCODES = 500;
+
+function getStatePath(key, root = STATE_ROOT) {
+  return path.join(root, `${key}.json`);
+}
+
+function emptyState(key) {
+  return {
+    key,
+    knownShortcodes: [],
+    newestTimestamp: null,
+    lastRunAt: null,
+    lastRequestId: null
+  };
+}
+
+// State written by older versions under profile_state/ is still read; the next save moves it
+async function loadProfileState(key) {
+  for (const root of [STATE_ROOT, LEGACY_STATE_ROOT]) {
+    try {
+      const stateJson = await fs.readFile(getStatePath(key, root), 'utf8');
+      return { ...emptyState(key), ...JSON.parse(stateJson) };
+    } catch (error) {
+      // Not saved in this location
+    }
+  }
+  return emptyState(key);
+}
+
+// Newest shortcodes go first so the list can be trimmed without losing recent content
+async function saveProfileState(key, previous, { shortcodes = [], timestamps = [], requestId = null }) {
+  const known = [...shortcodes, ...previous.knownShortcodes.filter(code => !shortcodes.includes(code))];
+  const newest = [previous.newestTimestamp, ...timestamps]
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+
+  const state = {
+    key,
+    knownShortcodes: known.slice(0, MAX_KNOWN_SHORTCODES),
+    newestTimestamp: newest,
+    lastRunAt: new Date().toISOString(),
+    lastRequestId: requestId
+  };
+
+  try {
+    await fs.mkdir(STATE_ROOT, { recursive: true });
+    await fs.writeFile(getStatePath(key), JSON.stringify(state, null, 2), 'utf8');
+    console.log(`💾 Profile state saved (${state.knownShortcodes.length} known items)`);
+  } catch (error) {
+    console.log('⚠️ Unable to persist profile state:', error.message);
+  }
+  return state;
+}
+
+module.exports = {
+  loadProfileState,
+  saveProfileState
+};
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const PROXY_SETTINGS = {
+  proxiesFile: process.env.PROXIES_FILE || '',
+  preflight: process.env.PROXY_PREFLIGHT !== 'false',
+  preflightTarget: 'www.instagram.com:443',
+  preflightTimeoutMs: parseInt(process.env.PROXY_PREFLIGHT_TIMEOUT_MS) || 10000,
+  benchAfterFailures: 3,
+  benchMs: parseInt(process.env.PROXY_BENCH_MS) || 10 * 60 * 1000,
+  maxBenchMs: 6 * 60 * 60 * 1000
+};
+
+const stats = new Map();
+
+function parseProxyUrl(proxyUrl) {
+  const url = new URL(proxyUrl.includes('://') ? proxyUrl : `http://${proxyUrl}`);
+  const defaultPort = url.protocol === 'https:' ? 443 : url.protocol.startsWith('socks') ? 1080 : 80;
+  return {
+    server: `${url.protocol}//${url.host}`,
+    protocol: url.protocol.replace(':', ''),
+    host: url.hostname,
+    port: parseInt(url.port) || defaultPort,
+    credentials: url.username
+      ? { username: decodeURIComponent(url.username), password: decodeURIComponent(url.password) }
+      : null
+  };
+}
+
+function maskProxyUrl(proxyUrl) {
+  if (!proxyUrl) return proxyUrl;
+  try {
+    const { server, credentials } = parseProxyUrl(proxyUrl);
+    if (!credentials) return server;
+    return server.replace('//', `//${credentials.username}:***@`);
+  } catch (error) {
+    return 'invalid-proxy';
+  }
+}
+
+// Rotating-session proxies (e.g. Apify "session-xyz") share one score per gateway and user
+function proxyKey(proxyUrl) {
+  const { server, credentials } = parseProxyUrl(proxyUrl);
+  const user = credentials ? credentials.username.replace(/,?session-[^,]*/, '') : '';
+  return user ? `${user}@${server}` : server;
+}
+
+function getStats(proxyUrl) {
+  const key = proxyKey(proxyUrl);
+  if (!stats.has(key)) {
+    stats.set(key, {
+      key,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      avgLatencyMs: null,
+      benchedUntil: null,
+      benchCount: 0,
+      lastError: null,
+      lastCheckedAt: null
+    });
+  }
+  return stats.get(key);
+}
+
+// Reads `PROXIES_FILE` (a JSON array or one proxy per line) plus every IG_PROXY_<n> variable
+function loadProxyList(env = process.env) {
+  const proxies = [];
+  if (PROXY_SETTINGS.proxiesFile) {
+    try {
+      const text = fs.readFileSync(PROXY_SETTINGS.proxiesFile, 'utf8').trim();
+      const entries = text.startsWith('[')
+        ? JSON.parse(text)
+        : text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+      proxies.push(...entries);
+    } catch (error) {
+      console.log(`⚠️ Unable to read proxies file ${PROXY_SETTINGS.proxiesFile}:`, error.message);
+    }
+  }
+
+  Object.keys(env)
+    .filter(name => /^IG_PROXY_\d+$/.test(name) && env[name])
+    .sort((a, b) => parseInt(a.slice(9)) - parseInt(b.slice(9)))
+    .forEach(name => proxies.push(env[name]));
+
+  const valid = [];
+  Array.from(new Set(proxies)).forEach(proxy => {
+    try {
+      parseProxyUrl(proxy);
+      valid.push(proxy);
+    } catch (error) {
+      console.log(`⚠️ Ignoring invalid proxy entry: ${maskProxyUrl(proxy)}`);
+    }
+  });
+  return valid;
+}
+
+function isBenched(proxyUrl) {
+  const entry = getStats(proxyUrl);
+  return !!entry.benchedUntil && Date.parse(entry.benchedUntil) > Date.now();
+}
+
+// Success rate weighted down by latency; untried proxies start in the middle
+function scoreFromStats(entry) {
+  const total = entry.successes + entry.failures;
+  const successRate = total ? entry.successes / total : 0.75;
+  const latencyFactor = entry.avgLatencyMs ? 1000 / (1000 + entry.avgLatencyMs) : 0.75;
+  return successRate * 0.8 + latencyFactor * 0.2;
+}
+
+function scoreProxy(proxyUrl) {
+  return scoreFromStats(getStats(proxyUrl));
+}
+
+function recordProxyResult(proxyUrl, { ok, latencyMs = null, error = null }) {
+  if (!proxyUrl) return;
+  const entry = getStats(proxyUrl);
+  entry.lastCheckedAt = new Date().toISOString();
+  if (latencyMs !== null) {
+    entry.avgLatencyMs = entry.avgLatencyMs === null
+      ? latencyMs
+      : Math.round(entry.avgLatencyMs * 0.7 + latencyMs * 0.3);
+  }
+
+  if (ok) {
+    entry.successes += 1;
+    entry.consecutiveFailures = 0;
+    entry.benchCount = 0;
+    return;
+  }
+
+  entry.failures += 1;
+  entry.consecutiveFailures += 1;
+  entry.lastError = error;
+  if (entry.consecutiveFailures >= PROXY_SETTINGS.benchAfterFailures) {
+    const benchFor = Math.min(PROXY_SETTINGS.benchMs * 2 ** entry.benchCount, PROXY_SETTINGS.maxBenchMs);
+    entry.benchCount += 1;
+    entry.consecutiveFailures = 0;
+    entry.benchedUntil = new Date(Date.now() + benchFor).toISOString();
+    console.log(`🪑 Proxy ${entry.key} benched until ${entry.benchedUntil}`);
+  }
+}
+
+// Opens a CONNECT tunnel to Instagram through an http(s) proxy, the same thing Chrome does first.
+// https:// proxies are dialed over TLS.
+function connectPreflight({ protocol, host, port, credentials }) {
+  const headers = { Host: PROXY_SETTINGS.preflightTarget };
+  if (credentials) {
+    const token = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+    headers['Proxy-Authorization'] = `Basic ${token}`;
+  }
+
+  return new Promise(resolve => {
+    const client = protocol === 'https' ? https : http;
+    const request = client.request({
+      host,
+      port,
+      method: 'CONNECT',
+      path: PROXY_SETTINGS.preflightTarget,
+      headers,
+      servername: protocol === 'https' ? host : undefined,
+      timeout: PROXY_SETTINGS.preflightTimeoutMs
+    });
+    let settled = false;
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      request.destroy();
+      resolve(result);
+    };
+    request.on('connect', (response, socket) => {
+      socket.destroy();
+      finish(response.statusCode === 200
+        ? { ok: true }
+        : { ok: false, error: `Proxy answered ${response.statusCode}` });
+    });
+    request.on('response', response => finish({ ok: false, error: `Proxy answered ${response.statusCode}` }));
+    request.on('timeout', () => finish({ ok: false, error: 'Proxy pre-flight timed out' }));
+    request.on('error', error => finish({ ok: false, error: error.message }));
+    request.end();
+  });
+}
+
+// SOCKS5 handshake (RFC 1928, with RFC 1929 username/password) ending in a CONNECT to Instagram.
+// SOCKS4 has no handshake worth checking, so it only has to accept a TCP connection.
+function socksPreflight({ protocol, host, port, credentials }) {
+  const [targetHost, targetPort] = PROXY_SETTINGS.preflightTarget.split(':');
+  return new Promise(resolve => {
+    const socket = net.connect({ host, port });
+    let settled = false;
+    let stage = 'greeting';
+    let buffered = Buffer.alloc(0);
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve(result);
+    };
+    const sendConnect = () => {
+      stage = 'connect';
+      const name = Buffer.from(targetHost);
+      const portBytes = Buffer.alloc(2);
+      portBytes.writeUInt16BE(parseInt(targetPort));
+      socket.write(Buffer.concat([Buffer.from([5, 1, 0, 3, name.length]), name, portBytes]));
+    };
+
+    socket.setTimeout(PROXY_SETTINGS.preflightTimeoutMs, () => finish({ ok: false, error: 'Proxy pre-flight timed out' }));
+    socket.on('error', error => finish({ ok: false, error: error.message }));
+    socket.on('close', () => finish({ ok: false, error: 'Proxy closed the connection' }));
+    socket.on('connect', () => {
+      if (!protocol.startsWith('socks5')) return finish({ ok: true });
+      socket.write(Buffer.from(credentials ? [5, 2, 0, 2] : [5, 1, 0]));
+    });
+    socket.on('data', chunk => {
+      buffered = Buffer.concat([buffered, chunk]);
+      if (buffered.length < 2) return;
+      const reply = buffered;
+      buffered = Buffer.alloc(0);
+
+      if (stage === 'greeting') {
+        if (reply[0] !== 5 || reply[1] === 0xff) return finish({ ok: false, error: 'Proxy refused the SOCKS5 auth methods' });
+        if (reply[1] !== 2) return sendConnect();
+        if (!credentials) return finish({ ok: false, error: 'Proxy requires SOCKS5 credentials' });
+        stage = 'auth';
+        const user = Buffer.from(credentials.username);
+        const pass = Buffer.from(credentials.password);
+        socket.write(Buffer.concat([Buffer.from([1, user.length]), user, Buffer.from([pass.length]), pass]));
+      } else if (stage === 'auth') {
+        if (reply[1] !== 0) return finish({ ok: false, error: 'Proxy rejected the SOCKS5 credentials' });
+        sendConnect();
+      } else {
+        finish(reply[1] === 0 ? { ok: true } : { ok: false, error: `SOCKS5 connect failed (code ${reply[1]})` });
+      }
+    });
+  });
+}
+
+// Checks the proxy the way its scheme is spoken and records the outcome in its score
+async function checkProxy(proxyUrl) {
+  const parsed = parseProxyUrl(proxyUrl);
+  const startedAt = Date.now();
+  const result = parsed.protocol.startsWith('socks')
+    ? await socksPreflight(parsed)
+    : await connectPreflight(parsed);
+  const outcome = { ...result, latencyMs: Date.now() - startedAt };
+  recordProxyResult(proxyUrl, outcome);
+  return outcome;
+}
+
+// Healthy proxies ordered best first; benched ones are left out entirely
+function rankProxies(proxies) {
+  return proxies
+    .filter(proxy => !isBenched(proxy))
+    .map(proxy => ({ proxy, score: scoreProxy(proxy) + Math.random() * 0.05 }))
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.proxy);
+}
+
+function getProxyStats(configured = []) {
+  configured.forEach(getStats);
+  return Array.from(stats.values()).map(entry => ({
+    ...entry,
+    score: Math.round(scoreFromStats(entry) * 100) / 100,
+    benched: !!entry.benchedUntil && Date.parse(entry.benchedUntil) > Date.now()
+  }));
+}
+
+module.exports = {
+  PROXY_SETTINGS,
+  parseProxyUrl,
+  maskProxyUrl,
+  proxyKey,
+  loadProxyList,
+  rankProxies,
+  checkProxy,
+  recordProxyResult,
+  getProxyStats
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const { saveJsonFile } = require('./jsonFile');
+
+const RATE_LIMIT_SETTINGS = {
+  stateFile: process.env.RATE_LIMIT_STATE_FILE || './rate_limit_state.json',
+  maxCooldownMs: parseInt(process.env.RATE_LIMIT_MAX_COOLDOWN_MS) || 15 * 60 * 1000,
+  proxyCooldownMs: parseInt(process.env.PROXY_COOLDOWN_MS) || 30 * 60 * 1000,
+  maxProxyCooldownMs: 24 * 60 * 60 * 1000,
+  levelDecayMs: 6 * 60 * 60 * 1000,
+  maxLevel: 5
+};
+
+const BLOCK_PHRASES = [
+  'try again later',
+  'wait a few minutes',
+  'we restrict certain activity',
+  'we limit how often'
+];
+
+// Profiles that really have nothing to show, so an empty grid there is not a block
+const EMPTY_PROFILE_PHRASES = [
+  'no posts yet',
+  'this account is private',
+  "sorry, this page isn't available"
+];
+
+const API_URL_PATTERN = /instagram\.com\/(api\/|graphql)/;
+
+const entries = new Map();
+
+function getEntry(key) {
+  if (!entries.has(key)) {
+    entries.set(key, { key, level: 0, events: 0, lastEventAt: null, lastSignal: null, cooldownUntil: null });
+  }
+  return entries.get(key);
+}
+
+function persistState() {
+  return saveJsonFile(RATE_LIMIT_SETTINGS.stateFile, Object.fromEntries(entries), 'rate-limit state');
+}
+
+function loadRateLimitState() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(RATE_LIMIT_SETTINGS.stateFile, 'utf8'));
+    Object.values(saved).forEach(entry => {
+      if (entry && entry.key) entries.set(entry.key, { ...getEntry(entry.key), ...entry });
+    });
+  } catch (error) {
+    // No saved state yet
+  }
+  return entries.size;
+}
+
+// The level drops by one for every quiet period since the last rate limit
+function currentLevel(entry, now = Date.now()) {
+  if (!entry.lastEventAt) return 0;
+  const quietPeriods = Math.floor((now - Date.parse(entry.lastEventAt)) / RATE_LIMIT_SETTINGS.levelDecayMs);
+  return Math.max(0, entry.level - quietPeriods);
+}
+
+// Counts Instagram API responses that refuse the session while the page loads
+function watchResponses(page) {
+  const statuses = [];
+  const listener = response => {
+    if (API_URL_PATTERN.test(response.url())) statuses.push(response.status());
+  };
+  page.on('response', listener);
+  return {
+    statuses,
+    stop: () => page.off('response', listener)
+  };
+}
+
+// Returns { signal, detail } when the page shows any sign of a block, otherwise null.
+// signal: http_429, http_401, challenge, login_wall, blocked_text or empty_grid
+async function detectRateLimit(page, { response = null, tracker = null, expectGrid = false } = {}) {
+  const status = response ? response.status() : null;
+  if (status === 429 || status === 401) {
+    return { signal: `http_${status}`, detail: `Page answered ${status}` };
+  }
+  const refused = tracker && tracker.statuses.find(code => code === 429 || code === 401);
+  if (refused) {
+    return { signal: `http_${refused}`, detail: `Instagram API answered ${refused}` };
+  }
+
+  let state;
+  try {
+    state = await page.evaluate(() => {
+      const description = document.querySelector('meta[property="og:description"]');
+      return {
+        url: location.href,
+        text: ((document.body && document.body.innerText) || '').slice(0, 5000).toLowerCase(),
+        hasLoginForm: !!document.querySelector('input[name="username"]'),
+        gridLinks: document.querySelectorAll('a[href*="/p/"], a[href*="/reel/"]').length,
+        description: description ? description.getAttribute('content') || '' : ''
+      };
+    });
+  } catch (error) {
+    console.log('Rate-limit check failed:', error.message);
+    return null;
+  }
+
+  if (/\/(challenge|checkpoint)\//.test(state.url)) {
+    return { signal: 'challenge', detail: 'Redirected to a verification challenge' };
+  }
+  if (/\/accounts\/login/.test(state.url) || state.hasLoginForm) {
+    return { signal: 'login_wall', detail: 'Instagram asked to log in again' };
+  }
+  const phrase = BLOCK_PHRASES.find(text => state.text.includes(text));
+  if (phrase) {
+    return { signal: 'blocked_text', detail: `Page says "${phrase}"` };
+  }
+  if (expectGrid && state.gridLinks === 0 && !EMPTY_PROFILE_PHRASES.some(text => state.text.includes(text))) {
+    // og:description reads "1,234 Followers, 56 Following, 789 Posts - ..."
+    const postsMatch = state.description.match(/([\d.,]+[km]?)\s+posts/i);
+    if (postsMatch && postsMatch[1] !== '0') {
+      return { signal: 'empty_grid', detail: `Grid is empty although the profile lists ${postsMatch[1]} posts` };
+    }
+  }
+  return null;
+}
+
+// Raises the backoff level of every account/proxy key involved in a rate limit
+function recordRateLimit(keys, signal) {
+  const now = Date.now();
+  keys.filter(Boolean).forEach(key => {
+    const entry = getEntry(key);
+    entry.level = Math.min(currentLevel(entry, now) + 1, RATE_LIMIT_SETTINGS.maxLevel);
+    entry.events += 1;
+    entry.lastEventAt = new Date(now).toISOString();
+    entry.lastSignal = signal;
+  });
+  persistState();
+}
+
+// Pause before retrying: the base range doubled for each level of the worst key involved
+function getBackoffDelay(keys, baseRange) {
+  const level = Math.max(0, ...keys.filter(Boolean).map(key => currentLevel(getEntry(key))));
+  const base = Math.floor(Math.random() * (baseRange[1] - baseRange[0] + 1)) + baseRange[0];
+  return Math.min(base * 2 ** Math.max(0, level - 1), RATE_LIMIT_SETTINGS.maxCooldownMs);
+}
+
+// Keeps a proxy out of rotation for a while, longer the more often it has been limited
+function startProxyCooldown(key) {
+  const entry = getEntry(key);
+  const duration = Math.min(
+    RATE_LIMIT_SETTINGS.proxyCooldownMs * 2 ** Math.max(0, currentLevel(entry) - 1),
+    RATE_LIMIT_SETTINGS.maxProxyCooldownMs
+  );
+  entry.cooldownUntil = new Date(Date.now() + duration).toISOString();
+  console.log(`🧊 ${key} cooling down until ${entry.cooldownUntil}`);
+  persistState();
+}
+
+function isCoolingDown(key) {
+  const entry = entries.get(key);
+  return !!entry && !!entry.cooldownUntil && Date.parse(entry.cooldownUntil) > Date.now();
+}
+
+function getRateLimitState() {
+  return Array.from(entries.values()).map(entry => ({
+    ...entry,
+    currentLevel: currentLevel(entry),
+    coolingDown: isCoolingDown(entry.key)
+  }));
+}
+
+module.exports = {
+  RATE_LIMIT_SETTINGS,
+  loadRateLimitState,
+  watchResponses,
+  detectRateLimit,
+  recordRateLimit,
+  getBackoffDelay,
+  startProxyCooldown,
+  isCoolingDown,
+  getRateLimitState
+};
@@ -0,0 +1,141 @@
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['json', 'ndjson', 'csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Posts and reels share these columns so both fit in one sheet
+const COLUMNS = [
+  { key: 'type', header: 'type', width: 8 },
+  { key: 'shortcode', header: 'shortcode', width: 14 },
+  { key: 'url', header: 'url', width: 40 },
+  { key: 'ownerUsername', header: 'owner_username', width: 20 },
+  { key: 'timestamp', header: 'timestamp', width: 24 },
+  { key: 'timeText', header: 'time_text', width: 14 },
+  { key: 'caption', header: 'caption', width: 60 },
+  { key: 'hashtags', header: 'hashtags', width: 30 },
+  { key: 'mentions', header: 'mentions', width: 30 },
+  { key: 'likesCount', header: 'likes_count', width: 12 },
+  { key: 'commentsCount', header: 'comments_count', width: 14 },
+  { key: 'viewsCount', header: 'views_count', width: 12 },
+  { key: 'location', header: 'location', width: 20 },
+  { key: 'audioName', header: 'audio_name', width: 20 },
+  { key: 'mediaCount', header: 'media_count', width: 12 },
+  { key: 'mediaUrl', header: 'media_url', width: 40 },
+  { key: 'posterUrl', header: 'poster_url', width: 40 },
+  { key: 'localMediaPath', header: 'local_media_path', width: 40 },
+  { key: 'taggedBy', header: 'tagged_by', width: 20 },
+  { key: 'taggedIn', header: 'tagged_in', width: 20 },
+  { key: 'collectedComments', header: 'collected_comments', width: 18 },
+  { key: 'extractionSource', header: 'extraction_source', width: 16 },
+  { key: 'scrapedAt', header: 'scraped_at', width: 24 }
+];
+
+function flattenItem(item) {
+  return {
+    type: item.type,
+    shortcode: item.shortcode,
+    url: item.url,
+    ownerUsername: item.owner ? item.owner.username : null,
+    timestamp: item.timestamp,
+    timeText: item.timeText,
+    caption: item.caption,
+    hashtags: (item.hashtags || []).join(', '),
+    mentions: (item.mentions || []).join(', '),
+    likesCount: item.likesCount,
+    commentsCount: item.commentsCount,
+    viewsCount: item.viewsCount,
+    location: item.location,
+    audioName: item.audioName,
+    mediaCount: (item.media || []).length,
+    mediaUrl: item.mediaUrl,
+    posterUrl: item.posterUrl,
+    localMediaPath: item.localMediaPath || null,
+    taggedBy: item.taggedBy ? item.taggedBy.username : null,
+    taggedIn: (item.taggedIn || []).join(', '),
+    collectedComments: item.comments ? item.comments.length : null,
+    extractionSource: item.extractionSource,
+    scrapedAt: item.scrapedAt
+  };
+}
+
+function documentItems(document) {
+  return [...(document.posts || []), ...(document.reels || [])];
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(items) {
+  const lines = [COLUMNS.map(column => column.header).join(',')];
+  items.map(flattenItem).forEach(row => {
+    lines.push(COLUMNS.map(column => csvCell(row[column.key])).join(','));
+  });
+  // The BOM makes Excel open the file as UTF-8 instead of the system code page
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+function toNdjson(items) {
+  return items.map(item => JSON.stringify(item)).join('\n') + (items.length ? '\n' : '');
+}
+
+async function toXlsx(items) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet('Items', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  items.map(flattenItem).forEach(row => sheet.addRow(row));
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: COLUMNS.length } };
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Renders a saved result document; returns the body and the content type to serve it with
+async function renderResult(document, format = 'json') {
+  const items = documentItems(document);
+  let body;
+  switch (format) {
+    case 'ndjson':
+      body = toNdjson(items);
+      break;
+    case 'csv':
+      body = toCsv(items);
+      break;
+    case 'xlsx':
+      body = await toXlsx(items);
+      break;
+    default:
+      body = JSON.stringify(document, null, 2);
+  }
+  return { body, contentType: CONTENT_TYPES[format] || CONTENT_TYPES.json };
+}
+
+// NDJSON files hold one item per line, so they can be regrouped into a result document
+function parseNdjson(text) {
+  const items = text
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+  return {
+    posts: items.filter(item => item.type === 'post'),
+    reels: items.filter(item => item.type === 'reel')
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  renderResult,
+  parseNdjson
+};
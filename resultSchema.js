@@ -0,0 +1,157 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const resultSchema = require('./schemas/scrape-result.schema.json');
+
+const SCHEMA_VERSION = 1;
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+const validateResultSchema = ajv.compile(resultSchema);
+const validateItemSchema = ajv.getSchema(`${resultSchema.$id}#/definitions/item`);
+
+const COUNT_MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+// Handles "1,234 likes", "12.345", "1 234", "1.2K" and "1,2 M" alike
+function parseCount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  }
+  if (!value) return null;
+
+  const match = String(value)
+    .replace(/[\u00a0\u202f]/g, ' ')
+    .match(/(\d[\d.,\s]*\d|\d)\s*([kmb])?(?![a-z])/i);
+  if (!match) return null;
+
+  const digits = match[1].replace(/\s/g, '');
+  const suffix = match[2] && match[2].toLowerCase();
+  if (suffix) {
+    const decimal = parseFloat(digits.replace(',', '.'));
+    return Number.isFinite(decimal) ? Math.round(decimal * COUNT_MULTIPLIERS[suffix]) : null;
+  }
+
+  // Counts are whole numbers, so any remaining separator groups thousands
+  const whole = parseInt(digits.replace(/[.,]/g, ''), 10);
+  return Number.isFinite(whole) ? whole : null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function extractTokens(text, prefix) {
+  const pattern = new RegExp(`${prefix}([\\p{L}\\p{N}_.]+)`, 'gu');
+  const tokens = [];
+  for (const match of (text || '').matchAll(pattern)) {
+    const token = match[1].replace(/\.+$/, '');
+    if (token && !tokens.includes(token)) tokens.push(token);
+  }
+  return tokens;
+}
+
+function toInteger(value) {
+  return Number.isInteger(value) ? value : null;
+}
+
+function normalizeMediaEntry(entry) {
+  return {
+    type: entry.type === 'video' ? 'video' : 'image',
+    url: entry.url || null,
+    posterUrl: entry.posterUrl || null,
+    width: toInteger(entry.width),
+    height: toInteger(entry.height),
+    altText: entry.altText || '',
+    userTags: entry.userTags || []
+  };
+}
+
+function normalizeComment(raw) {
+  const text = (raw.text || '').trim();
+  return {
+    id: raw.id || null,
+    username: raw.username || null,
+    text,
+    timestamp: toIsoDate(raw.timestamp),
+    likesCount: parseCount(raw.likes),
+    mentions: extractTokens(text, '@'),
+    replies: (raw.replies || []).map(normalizeComment)
+  };
+}
+
+// Maps raw post/reel extractor output onto the shared item schema
+function normalizeItem(raw) {
+  const isReel = raw.type === 'reel';
+  const caption = (raw.caption || '').trim();
+  const hashtags = (raw.hashtags && raw.hashtags.length)
+    ? raw.hashtags.map(tag => tag.replace(/^#/, ''))
+    : extractTokens(caption, '#');
+  const media = (raw.media || []).map(normalizeMediaEntry);
+  const primary = media[0] || {};
+
+  return {
+    type: isReel ? 'reel' : 'post',
+    shortcode: (isReel ? raw.reelId : raw.postId) || '',
+    url: (isReel ? raw.reelUrl : raw.postUrl) || '',
+    caption,
+    hashtags,
+    mentions: extractTokens(caption, '@'),
+    likesCount: parseCount(raw.likes),
+    commentsCount: parseCount(raw.commentsCount),
+    viewsCount: isReel ? parseCount(raw.views) : null,
+    owner: raw.owner || null,
+    mediaUrl: (isReel ? raw.videoUrl : raw.mediaUrl) || primary.url || null,
+    posterUrl: (isReel ? raw.posterUrl : primary.posterUrl) || null,
+    media,
+    location: raw.location || '',
+    audioName: isReel ? raw.audioName || null : null,
+    timestamp: toIsoDate(raw.timestamp),
+    timeText: raw.timeText || null,
+    taggedBy: raw.taggedBy || null,
+    taggedIn: raw.taggedIn || [],
+    position: (isReel ? raw.reelNumber : raw.postNumber) || 1,
+    extractionSource: raw.extractionSource === 'network' ? 'network' : 'dom',
+    scrapedAt: toIsoDate(raw.scrapedAt) || new Date().toISOString(),
+    ...(raw.comments ? { comments: raw.comments.map(normalizeComment) } : {})
+  };
+}
+
+function describeErrors(errors) {
+  return errors
+    .slice(0, 5)
+    .map(error => `${error.instancePath || '/'} ${error.message}`)
+    .join('; ');
+}
+
+// Splits items into schema-valid ones and { shortcode, type, error } for the rest,
+// so one malformed item does not cost the whole run
+function partitionValidItems(items) {
+  const valid = [];
+  const invalid = [];
+  items.forEach(item => {
+    if (validateItemSchema(item)) {
+      valid.push(item);
+    } else {
+      invalid.push({
+        shortcode: (item && item.shortcode) || null,
+        type: (item && item.type) || null,
+        error: describeErrors(validateItemSchema.errors)
+      });
+    }
+  });
+  return { valid, invalid };
+}
+
+function validateResult(data) {
+  if (validateResultSchema(data)) return;
+  throw new Error(`Scrape result failed schema validation: ${describeErrors(validateResultSchema.errors)}`);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  parseCount,
+  normalizeItem,
+  partitionValidItems,
+  validateResult
+};
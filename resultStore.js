@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+let db = null;
+
+function openStore(dbPath) {
+  if (db) return db;
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS items (
+      shortcode TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      url TEXT,
+      owner_username TEXT,
+      timestamp TEXT,
+      likes_count INTEGER,
+      comments_count INTEGER,
+      views_count INTEGER,
+      caption TEXT,
+      data TEXT NOT NULL,
+      first_seen_at TEXT NOT NULL,
+      last_scraped_at TEXT NOT NULL,
+      last_request_id TEXT
+    );
+    CREATE TABLE IF NOT EXISTS profile_items (
+      profile TEXT NOT NULL,
+      mode TEXT NOT NULL,
+      shortcode TEXT NOT NULL REFERENCES items(shortcode),
+      first_seen_at TEXT NOT NULL,
+      PRIMARY KEY (profile, mode, shortcode)
+    );
+    CREATE INDEX IF NOT EXISTS idx_items_timestamp ON items(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_profile_items_shortcode ON profile_items(shortcode);
+  `);
+  console.log(`🗃️  Result store ready: ${dbPath}`);
+  return db;
+}
+
+function getStore() {
+  if (!db) {
+    throw new Error('Result store has not been opened');
+  }
+  return db;
+}
+
+// Items are keyed by shortcode; a tagged post seen under several profiles is stored once
+function upsertItems(items, { profile, mode, requestId }) {
+  const store = getStore();
+  const now = new Date().toISOString();
+  const upsertItem = store.prepare(`
+    INSERT INTO items (
+      shortcode, type, url, owner_username, timestamp, likes_count, comments_count,
+      views_count, caption, data, first_seen_at, last_scraped_at, last_request_id
+    ) VALUES (
+      @shortcode, @type, @url, @ownerUsername, @timestamp, @likesCount, @commentsCount,
+      @viewsCount, @caption, @data, @now, @now, @requestId
+    )
+    ON CONFLICT(shortcode) DO UPDATE SET
+      type = excluded.type,
+      url = excluded.url,
+      owner_username = excluded.owner_username,
+      timestamp = COALESCE(excluded.timestamp, items.timestamp),
+      likes_count = excluded.likes_count,
+      comments_count = excluded.comments_count,
+      views_count = excluded.views_count,
+      caption = excluded.caption,
+      data = excluded.data,
+      last_scraped_at = excluded.last_scraped_at,
+      last_request_id = excluded.last_request_id
+  `);
+  const linkProfile = store.prepare(`
+    INSERT OR IGNORE INTO profile_items (profile, mode, shortcode, first_seen_at)
+    VALUES (?, ?, ?, ?)
+  `);
+
+  const writeAll = store.transaction(rows => {
+    rows.forEach(item => {
+      upsertItem.run({
+        shortcode: item.shortcode,
+        type: item.type,
+        url: item.url,
+        ownerUsername: item.owner ? item.owner.username : null,
+        timestamp: item.timestamp,
+        likesCount: item.likesCount,
+        commentsCount: item.commentsCount,
+        viewsCount: item.viewsCount,
+        caption: item.caption,
+        data: JSON.stringify(item),
+        now,
+        requestId
+      });
+      linkProfile.run(profile.toLowerCase(), mode, item.shortcode, now);
+    });
+  });
+
+  const rows = items.filter(item => item.shortcode);
+  writeAll(rows);
+  return rows.length;
+}
+
+function toStoredItem(row) {
+  return {
+    ...JSON.parse(row.data),
+    firstSeenAt: row.first_seen_at,
+    lastScrapedAt: row.last_scraped_at
+  };
+}
+
+function queryProfileItems(profile, { type, mode, since, until, limit } = {}) {
+  const clauses = ['p.profile = @profile'];
+  if (type) clauses.push('i.type = @type');
+  if (mode) clauses.push('p.mode = @mode');
+  if (since) clauses.push('i.timestamp >= @since');
+  if (until) clauses.push('i.timestamp <= @until');
+
+  const rows = getStore().prepare(`
+    SELECT DISTINCT i.* FROM items i
+    JOIN profile_items p ON p.shortcode = i.shortcode
+    WHERE ${clauses.join(' AND ')}
+    ORDER BY i.timestamp DESC
+    LIMIT @limit
+  `).all({
+    profile: profile.toLowerCase(),
+    type,
+    mode,
+    since,
+    until,
+    limit: Math.min(limit || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT)
+  });
+  return rows.map(toStoredItem);
+}
+
+function getItem(shortcode) {
+  const store = getStore();
+  const row = store.prepare('SELECT * FROM items WHERE shortcode = ?').get(shortcode);
+  if (!row) return null;
+  const profiles = store
+    .prepare('SELECT profile, mode, first_seen_at AS firstSeenAt FROM profile_items WHERE shortcode = ?')
+    .all(shortcode);
+  return { ...toStoredItem(row), profiles };
+}
+
+module.exports = {
+  openStore,
+  upsertItems,
+  queryProfileItems,
+  getItem
+};
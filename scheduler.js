@@ -0,0 +1,235 @@
+const fs = require('fs').promises;
+const cronParser = require('cron-parser');
+
+const MAX_TIMER_MS = 2147483647;
+const MAX_JITTER_SECONDS = 6 * 60 * 60;
+const HISTORY_LENGTH = 20;
+
+const schedules = new Map();
+let schedulesFile = null;
+let runSchedule = null;
+
+function nextCronDate(cron, from = new Date()) {
+  return cronParser.parseExpression(cron, { currentDate: from }).next().toDate();
+}
+
+function validateScheduleTiming({ cron, jitterSeconds }) {
+  if (!cron || typeof cron !== 'string') {
+    return 'cron is required (e.g. "0 */6 * * *")';
+  }
+  try {
+    cronParser.parseExpression(cron);
+  } catch (error) {
+    return `Invalid cron expression: ${error.message}`;
+  }
+  if (jitterSeconds !== undefined && jitterSeconds !== null) {
+    const jitter = Number(jitterSeconds);
+    if (!Number.isInteger(jitter) || jitter < 0 || jitter > MAX_JITTER_SECONDS) {
+      return `jitterSeconds must be an integer between 0 and ${MAX_JITTER_SECONDS}`;
+    }
+  }
+  return null;
+}
+
+function generateScheduleId() {
+  return `sch_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
+}
+
+// Scrape options a schedule passes through to every run unchanged
+const SCRAPE_OPTION_KEYS = [
+  'since', 'until', 'commentsLimit', 'includeReplies', 'format', 'archive', 'downloadMedia', 'exportJson'
+];
+
+const DEFINITION_KEYS = [
+  'id', 'profileUrl', 'mode', 'runMode', 'timePeriod', ...SCRAPE_OPTION_KEYS,
+  'cron', 'jitterSeconds', 'enabled', 'webhookUrl', 'createdAt'
+];
+
+function toDefinition(schedule) {
+  return DEFINITION_KEYS.reduce((definition, key) => {
+    definition[key] = schedule[key];
+    return definition;
+  }, {});
+}
+
+async function persistSchedules() {
+  if (!schedulesFile) return;
+  const definitions = Array.from(schedules.values()).map(toDefinition);
+  try {
+    await fs.writeFile(schedulesFile, JSON.stringify(definitions, null, 2), 'utf8');
+  } catch (error) {
+    console.log('⚠️ Unable to save schedules:', error.message);
+  }
+}
+
+// Timers are chained because setTimeout cannot wait longer than ~24.8 days in one go
+function armTimer(schedule) {
+  clearTimeout(schedule.timer);
+  if (!schedule.enabled) {
+    schedule.nextRunAt = null;
+    return;
+  }
+
+  const cronDate = nextCronDate(schedule.cron);
+  const jitterMs = Math.floor(Math.random() * (schedule.jitterSeconds || 0) * 1000);
+  const runAt = cronDate.getTime() + jitterMs;
+  schedule.nextRunAt = new Date(runAt).toISOString();
+
+  const waitFor = () => {
+    const remaining = runAt - Date.now();
+    if (remaining > MAX_TIMER_MS) {
+      schedule.timer = setTimeout(waitFor, MAX_TIMER_MS);
+    } else {
+      schedule.timer = setTimeout(() => fireSchedule(schedule), Math.max(0, remaining));
+    }
+    schedule.timer.unref();
+  };
+  waitFor();
+}
+
+function recordHistory(schedule, entry) {
+  schedule.history.unshift(entry);
+  schedule.history = schedule.history.slice(0, HISTORY_LENGTH);
+  schedule.lastRunAt = entry.startedAt;
+  schedule.lastStatus = entry.status;
+  schedule.lastError = entry.error || null;
+  schedule.lastRequestId = entry.requestId || null;
+}
+
+// A run still going when the next slot arrives is left alone and the slot is recorded as skipped
+async function fireSchedule(schedule) {
+  if (!schedules.has(schedule.id)) return;
+  armTimer(schedule);
+
+  const startedAt = new Date().toISOString();
+  if (schedule.running) {
+    console.log(`⏭️  Schedule ${schedule.id} skipped: previous run ${schedule.running} still in progress`);
+    recordHistory(schedule, { startedAt, finishedAt: startedAt, status: 'skipped', requestId: null });
+    return;
+  }
+
+  const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  schedule.running = requestId;
+  console.log(`⏰ Schedule ${schedule.id} starting run ${requestId} for ${schedule.profileUrl}`);
+  try {
+    const outcome = await runSchedule(schedule, requestId);
+    recordHistory(schedule, {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      status: outcome.status,
+      error: outcome.error,
+      requestId
+    });
+  } catch (error) {
+    console.error(`❌ Schedule ${schedule.id} failed:`, error.message);
+    recordHistory(schedule, {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      status: 'failed',
+      error: error.message,
+      requestId
+    });
+  } finally {
+    schedule.running = null;
+  }
+}
+
+function addSchedule(definition, { persist = true } = {}) {
+  const id = definition.id || generateScheduleId();
+  if (schedules.has(id)) {
+    throw new Error(`Schedule ${id} already exists`);
+  }
+  const schedule = {
+    id,
+    profileUrl: definition.profileUrl,
+    mode: definition.mode || null,
+    runMode: definition.runMode || null,
+    timePeriod: definition.timePeriod || null,
+    // Only options that were given are kept, so the server defaults still apply to the rest
+    ...SCRAPE_OPTION_KEYS.reduce((options, key) => {
+      if (definition[key] !== undefined && definition[key] !== null) options[key] = definition[key];
+      return options;
+    }, {}),
+    cron: definition.cron,
+    jitterSeconds: Number(definition.jitterSeconds) || 0,
+    enabled: definition.enabled !== false,
+    webhookUrl: definition.webhookUrl || null,
+    createdAt: definition.createdAt || new Date().toISOString(),
+    lastRunAt: null,
+    lastStatus: null,
+    lastError: null,
+    lastRequestId: null,
+    nextRunAt: null,
+    running: null,
+    history: [],
+    timer: null
+  };
+  schedules.set(id, schedule);
+  armTimer(schedule);
+  if (persist) persistSchedules();
+  return schedule;
+}
+
+function removeSchedule(id) {
+  const schedule = schedules.get(id);
+  if (!schedule) return false;
+  clearTimeout(schedule.timer);
+  schedules.delete(id);
+  persistSchedules();
+  return true;
+}
+
+function serializeSchedule(schedule) {
+  const { timer, ...rest } = schedule;
+  return rest;
+}
+
+function listSchedules() {
+  return Array.from(schedules.values()).map(serializeSchedule);
+}
+
+function getSchedule(id) {
+  const schedule = schedules.get(id);
+  return schedule ? serializeSchedule(schedule) : null;
+}
+
+// Loads definitions from the schedules file; validate returns an error string for bad entries
+async function startScheduler(filePath, runner, validate) {
+  schedulesFile = filePath;
+  runSchedule = runner;
+
+  let definitions = [];
+  try {
+    definitions = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.log(`⚠️ Unable to read schedules file ${filePath}:`, error.message);
+    }
+    return 0;
+  }
+
+  (Array.isArray(definitions) ? definitions : []).forEach(definition => {
+    const problem = validate(definition);
+    if (problem) {
+      console.log(`⚠️ Ignoring schedule ${definition.id || definition.profileUrl}: ${problem}`);
+      return;
+    }
+    try {
+      addSchedule(definition, { persist: false });
+    } catch (error) {
+      console.log('⚠️ Ignoring schedule:', error.message);
+    }
+  });
+  console.log(`⏰ Loaded ${schedules.size} schedule(s) from ${filePath}`);
+  return schedules.size;
+}
+
+module.exports = {
+  SCRAPE_OPTION_KEYS,
+  validateScheduleTiming,
+  addSchedule,
+  removeSchedule,
+  listSchedules,
+  getSchedule,
+  startScheduler
+};
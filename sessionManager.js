@@ -1,7 +1,25 @@
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 
 const SESSION_ROOT = path.join(__dirname, 'session_data');
+const ENCRYPTED_FILE = 'session.enc';
+const META_FILE = 'meta.json';
+const LEGACY_FILES = ['cookies.json', 'localStorage.json'];
+
+// Any passphrase works; it is stretched to a 256-bit AES key once at startup
+const ENCRYPTION_KEY = process.env.SESSION_ENCRYPTION_KEY
+  ? crypto.scryptSync(process.env.SESSION_ENCRYPTION_KEY, 'instagram-session-store', 32)
+  : null;
+const ALLOW_PLAINTEXT = process.env.ALLOW_PLAINTEXT_SESSIONS === 'true';
+const MISSING_KEY_MESSAGE = 'SESSION_ENCRYPTION_KEY is not set. Set it to store sessions encrypted, or set ALLOW_PLAINTEXT_SESSIONS=true to keep them in plaintext';
+
+// Called at startup: saved logins must be encrypted unless plaintext was explicitly allowed
+function checkSessionStorage() {
+  if (ENCRYPTION_KEY) return;
+  if (!ALLOW_PLAINTEXT) throw new Error(MISSING_KEY_MESSAGE);
+  console.log('⚠️ ALLOW_PLAINTEXT_SESSIONS is set; sessions are stored in plaintext');
+}
 
 async function ensureSessionDir(label = 'default') {
   const dirPath = path.join(SESSION_ROOT, label);
@@ -13,6 +31,8 @@ async function getSessionPaths(label = 'default') {
   const dirPath = await ensureSessionDir(label);
   return {
     dir: dirPath,
+    encryptedPath: path.join(dirPath, ENCRYPTED_FILE),
+    metaPath: path.join(dirPath, META_FILE),
     cookiesPath: path.join(dirPath, 'cookies.json'),
     localStoragePath: path.join(dirPath, 'localStorage.json')
   };
@@ -27,35 +47,146 @@ async function fileExists(filePath) {
   }
 }
 
+async function readJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// AES-256-GCM, so a wrong key or a tampered file fails instead of yielding garbage
+function encryptPayload(payload) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return {
+    version: 1,
+    algorithm: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptPayload(envelope) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+}
+
+function isCookieExpired(cookie, now = Date.now()) {
+  // Session cookies carry expires -1 (Puppeteer) or none at all (browser exports)
+  return typeof cookie.expires === 'number' && cookie.expires > 0 && cookie.expires * 1000 <= now;
+}
+
+function findSessionCookie(cookies) {
+  return (cookies || []).find(cookie => cookie.name === 'sessionid') || null;
+}
+
+function cookieExpiry(cookie) {
+  return cookie && typeof cookie.expires === 'number' && cookie.expires > 0
+    ? new Date(cookie.expires * 1000).toISOString()
+    : null;
+}
+
+// Returns { cookies, localStorage } for a label, or null when nothing usable is stored
+async function readSessionData(label) {
+  const paths = await getSessionPaths(label);
+
+  if (await fileExists(paths.encryptedPath)) {
+    if (!ENCRYPTION_KEY) {
+      console.log(`⚠️ Session ${label} is encrypted but SESSION_ENCRYPTION_KEY is not set`);
+      return null;
+    }
+    try {
+      return decryptPayload(await readJson(paths.encryptedPath, {}));
+    } catch (error) {
+      console.log(`⚠️ Unable to decrypt session ${label} (wrong SESSION_ENCRYPTION_KEY?)`);
+      return null;
+    }
+  }
+
+  const cookies = await readJson(paths.cookiesPath);
+  const localStorageData = await readJson(paths.localStoragePath);
+  if (!cookies && !localStorageData) return null;
+  return { cookies: Array.isArray(cookies) ? cookies : [], localStorage: localStorageData || {} };
+}
+
+async function updateSessionMeta(label, changes) {
+  const { metaPath } = await getSessionPaths(label);
+  const previous = await readJson(metaPath, {});
+  const now = new Date().toISOString();
+  const meta = {
+    label,
+    createdAt: previous.createdAt || changes.updatedAt || now,
+    updatedAt: previous.updatedAt || null,
+    lastValidatedAt: previous.lastValidatedAt || null,
+    lastValidationResult: previous.lastValidationResult ?? null,
+    encrypted: previous.encrypted || false,
+    cookieCount: previous.cookieCount || 0,
+    expiresAt: previous.expiresAt || null,
+    ...changes
+  };
+  await fs.writeFile(metaPath, JSON.stringify(meta, null, 2), 'utf8');
+  return meta;
+}
+
+// Encrypts when a key is configured; plaintext files are only written when explicitly allowed
+async function writeSessionData(label, data) {
+  if (!ENCRYPTION_KEY && !ALLOW_PLAINTEXT) throw new Error(MISSING_KEY_MESSAGE);
+  const paths = await getSessionPaths(label);
+  const cookies = data.cookies || [];
+
+  if (ENCRYPTION_KEY) {
+    await fs.writeFile(paths.encryptedPath, JSON.stringify(encryptPayload(data)), { encoding: 'utf8', mode: 0o600 });
+    await Promise.all(LEGACY_FILES.map(name => fs.rm(path.join(paths.dir, name), { force: true })));
+  } else {
+    await fs.writeFile(paths.cookiesPath, JSON.stringify(cookies, null, 2), 'utf8');
+    await fs.writeFile(paths.localStoragePath, JSON.stringify(data.localStorage || {}, null, 2), 'utf8');
+    await fs.rm(paths.encryptedPath, { force: true });
+  }
+
+  return updateSessionMeta(label, {
+    updatedAt: new Date().toISOString(),
+    encrypted: !!ENCRYPTION_KEY,
+    cookieCount: cookies.length,
+    expiresAt: cookieExpiry(findSessionCookie(cookies))
+  });
+}
+
 async function loadSession(page, label = 'default') {
-  const { cookiesPath, localStoragePath } = await getSessionPaths(label);
+  const data = await readSessionData(label);
+  if (!data) return false;
   let restored = false;
 
-  if (await fileExists(cookiesPath)) {
-    const cookiesJson = await fs.readFile(cookiesPath, 'utf8');
-    const cookies = JSON.parse(cookiesJson);
-    if (Array.isArray(cookies) && cookies.length > 0) {
-      const normalized = cookies.map(cookie => {
-        if (!cookie.url && !cookie.domain) {
-          return { ...cookie, url: 'https://www.instagram.com' };
-        }
-        return cookie;
-      });
-      await page.setCookie(...normalized);
-      restored = true;
-    }
+  const cookies = data.cookies.filter(cookie => !isCookieExpired(cookie));
+  const dropped = data.cookies.length - cookies.length;
+  if (dropped > 0) {
+    console.log(`⌛ Dropped ${dropped} expired cookie(s) from session ${label}`);
   }
 
-  if (await fileExists(localStoragePath)) {
-    const localStorageJson = await fs.readFile(localStoragePath, 'utf8');
-    const localStorageData = JSON.parse(localStorageJson);
-    await page.evaluate(data => {
-      if (!data) return;
-      Object.entries(data).forEach(([key, value]) => {
+  // Without a live sessionid the rest of the cookies cannot log us in
+  if (data.cookies.length && !findSessionCookie(cookies)) {
+    console.log(`⌛ Session ${label} has expired; a fresh login is needed`);
+  } else if (cookies.length > 0) {
+    const normalized = cookies.map(cookie => {
+      if (!cookie.url && !cookie.domain) {
+        return { ...cookie, url: 'https://www.instagram.com' };
+      }
+      return cookie;
+    });
+    await page.setCookie(...normalized);
+    restored = true;
+  }
+
+  if (restored && data.localStorage && Object.keys(data.localStorage).length) {
+    await page.evaluate(localStorageData => {
+      Object.entries(localStorageData).forEach(([key, value]) => {
         localStorage.setItem(key, value);
       });
-    }, localStorageData);
-    restored = true;
+    }, data.localStorage);
   }
 
   if (restored) {
@@ -66,17 +197,19 @@ async function loadSession(page, label = 'default') {
 }
 
 async function saveSession(page, label = 'default') {
-  const { cookiesPath, localStoragePath } = await getSessionPaths(label);
+  let cookies = [];
+  let localStorageData = {};
 
   try {
-    const cookies = await page.cookies();
-    await fs.writeFile(cookiesPath, JSON.stringify(cookies, null, 2), 'utf8');
+    cookies = await page.cookies();
   } catch (error) {
+    // Keep the stored session rather than overwrite it with nothing
     console.log('⚠️ Unable to persist cookies:', error.message);
+    return;
   }
 
   try {
-    const localStorageData = await page.evaluate(() => {
+    localStorageData = await page.evaluate(() => {
       const data = {};
       for (let i = 0; i < localStorage.length; i++) {
         const key = localStorage.key(i);
@@ -84,17 +217,158 @@ async function saveSession(page, label = 'default') {
       }
       return data;
     });
-    await fs.writeFile(localStoragePath, JSON.stringify(localStorageData, null, 2), 'utf8');
   } catch (error) {
-    console.log('⚠️ Unable to persist localStorage:', error.message);
+    console.log('⚠️ Unable to read localStorage:', error.message);
   }
 
-  console.log('💾 Instagram session saved');
+  try {
+    await writeSessionData(label, { cookies, localStorage: localStorageData });
+    console.log('💾 Instagram session saved');
+  } catch (error) {
+    console.log('⚠️ Unable to persist session:', error.message);
+  }
+}
+
+// Called once the restored cookies have been confirmed (or refused) by Instagram
+async function markSessionValidated(label, valid) {
+  try {
+    return await updateSessionMeta(label, {
+      lastValidatedAt: new Date().toISOString(),
+      lastValidationResult: !!valid
+    });
+  } catch (error) {
+    console.log('⚠️ Unable to update session metadata:', error.message);
+    return null;
+  }
+}
+
+// Re-writes plaintext session folders from older versions encrypted, once a key is configured
+async function migrateSessions() {
+  if (!ENCRYPTION_KEY) return 0;
+  let migrated = 0;
+  for (const label of await listSessionLabels()) {
+    const paths = await getSessionPaths(label);
+    if (await fileExists(paths.encryptedPath) || !(await fileExists(paths.cookiesPath))) continue;
+    try {
+      const data = await readSessionData(label);
+      if (!data) continue;
+      await writeSessionData(label, data);
+      migrated += 1;
+    } catch (error) {
+      console.log(`⚠️ Unable to migrate session ${label}:`, error.message);
+    }
+  }
+  if (migrated) {
+    console.log(`🔐 Encrypted ${migrated} plaintext session folder(s)`);
+  }
+  return migrated;
+}
+
+async function listSessionLabels() {
+  try {
+    return (await fs.readdir(SESSION_ROOT, { withFileTypes: true }))
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Looks the folder up without creating it, unlike getSessionPaths
+async function sessionExists(label) {
+  const dirPath = path.join(SESSION_ROOT, label);
+  return (await fileExists(path.join(dirPath, ENCRYPTED_FILE))) ||
+    (await fileExists(path.join(dirPath, 'cookies.json')));
+}
+
+// Metadata only; cookie values never leave this module
+async function getSessionInfo(label) {
+  if (!(await sessionExists(label))) return null;
+  const { metaPath } = await getSessionPaths(label);
+  let meta = await readJson(metaPath);
+  if (!meta) {
+    // Folders from before metadata existed get it written on first look
+    const data = await readSessionData(label);
+    const cookies = data ? data.cookies : [];
+    meta = await updateSessionMeta(label, {
+      cookieCount: cookies.length,
+      expiresAt: cookieExpiry(findSessionCookie(cookies))
+    });
+  }
+  return {
+    ...meta,
+    expired: !!meta.expiresAt && Date.parse(meta.expiresAt) <= Date.now()
+  };
+}
+
+async function listSessions() {
+  const sessions = [];
+  for (const label of await listSessionLabels()) {
+    const info = await getSessionInfo(label);
+    if (info) sessions.push(info);
+  }
+  return sessions;
+}
+
+const SAME_SITE = { no_restriction: 'None', none: 'None', lax: 'Lax', strict: 'Strict' };
+
+// Accepts the export format of cookie browser extensions (expirationDate, hostOnly, ...)
+// as well as Puppeteer's own (expires); non-Instagram cookies are dropped
+function normalizeImportedCookie(cookie) {
+  if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string') return null;
+  const domain = cookie.domain || '.instagram.com';
+  if (!/(^|\.)instagram\.com$/.test(domain.replace(/^\./, ''))) return null;
+
+  const expires = typeof cookie.expirationDate === 'number'
+    ? Math.floor(cookie.expirationDate)
+    : typeof cookie.expires === 'number' && !cookie.session ? cookie.expires : -1;
+  const normalized = {
+    name: cookie.name,
+    value: cookie.value,
+    domain,
+    path: cookie.path || '/',
+    expires,
+    httpOnly: !!cookie.httpOnly,
+    secure: cookie.secure !== false
+  };
+  const sameSite = SAME_SITE[String(cookie.sameSite || '').toLowerCase()];
+  if (sameSite) normalized.sameSite = sameSite;
+  return normalized;
+}
+
+// Stores cookies exported from a normal browser as the session for a label
+async function importSession(label, rawCookies, localStorageData = {}) {
+  const cookies = (rawCookies || []).map(normalizeImportedCookie).filter(Boolean);
+  const sessionCookie = findSessionCookie(cookies);
+  if (!sessionCookie) {
+    throw new Error('No instagram.com sessionid cookie found in the import');
+  }
+  if (isCookieExpired(sessionCookie)) {
+    throw new Error('The imported sessionid cookie has already expired');
+  }
+
+  const meta = await writeSessionData(label, { cookies, localStorage: localStorageData || {} });
+  console.log(`📥 Imported ${cookies.length} cookie(s) into session ${label}`);
+  return meta;
+}
+
+async function deleteSession(label) {
+  if (!(await sessionExists(label))) return false;
+  await fs.rm(path.join(SESSION_ROOT, label), { recursive: true, force: true });
+  console.log(`🗑️ Session ${label} deleted`);
+  return true;
 }
 
 module.exports = {
+  checkSessionStorage,
   ensureSessionDir,
   loadSession,
-  saveSession
+  saveSession,
+  markSessionValidated,
+  migrateSessions,
+  sessionExists,
+  getSessionInfo,
+  listSessions,
+  importSession,
+  deleteSession
 };
-
@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+
+function getArchiveDir(outputDir, requestId) {
+  return path.join(outputDir, 'archives', requestId);
+}
+
+async function createArchive(outputDir, requestId, meta = {}) {
+  const dir = getArchiveDir(outputDir, requestId);
+  await fs.mkdir(dir, { recursive: true });
+  const archive = {
+    dir,
+    manifest: {
+      requestId,
+      createdAt: new Date().toISOString(),
+      ...meta,
+      items: []
+    }
+  };
+  await writeManifest(archive);
+  console.log(`🗄️  Archiving page snapshots to ${dir}`);
+  return archive;
+}
+
+async function writeManifest(archive) {
+  const manifestPath = path.join(archive.dir, MANIFEST_FILE);
+  await fs.writeFile(manifestPath, JSON.stringify(archive.manifest, null, 2), 'utf8');
+}
+
+async function saveSnapshot(archive, entry, page, payloads = []) {
+  if (!archive) return;
+  try {
+    const baseName = `${entry.type}_${entry.id}`;
+    const htmlFile = `${baseName}.html`;
+    const payloadFile = `${baseName}.payloads.json`;
+    const html = await page.content();
+    await fs.writeFile(path.join(archive.dir, htmlFile), html, 'utf8');
+    await fs.writeFile(path.join(archive.dir, payloadFile), JSON.stringify(payloads, null, 2), 'utf8');
+
+    archive.manifest.items = archive.manifest.items.filter(item => item.id !== entry.id);
+    archive.manifest.items.push({
+      ...entry,
+      htmlFile,
+      payloadFile,
+      archivedAt: new Date().toISOString()
+    });
+    await writeManifest(archive);
+  } catch (error) {
+    console.log(`⚠️ Unable to archive snapshot for ${entry.id}:`, error.message);
+  }
+}
+
+async function loadArchive(outputDir, requestId) {
+  const dir = getArchiveDir(outputDir, requestId);
+  try {
+    const manifestJson = await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf8');
+    return { dir, manifest: JSON.parse(manifestJson) };
+  } catch (error) {
+    return null;
+  }
+}
+
+async function loadPayloads(archive, item) {
+  try {
+    const payloadJson = await fs.readFile(path.join(archive.dir, item.payloadFile), 'utf8');
+    return JSON.parse(payloadJson);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Serves the archived HTML at the item's original URL so extractors see the same location
+async function openArchivedPage(page, archive, item) {
+  const html = await fs.readFile(path.join(archive.dir, item.htmlFile), 'utf8');
+  await page.setJavaScriptEnabled(false);
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+    } else {
+      request.abort();
+    }
+  });
+  await page.goto(item.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+}
+
+module.exports = {
+  getArchiveDir,
+  createArchive,
+  saveSnapshot,
+  loadArchive,
+  loadPayloads,
+  openArchivedPage
+};
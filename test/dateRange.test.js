@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseDuration,
+  parseDateInput,
+  validateDateRange,
+  resolveDateRange,
+  parseInstagramDate,
+  compareToRange
+} = require('../dateRange');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Local noon, so year-less labels resolve the same way in any time zone
+const NOW = new Date(2026, 9, 19, 12, 0, 0);
+
+function localDay(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+}
+
+test('parseDuration reads request durations', () => {
+  assert.equal(parseDuration('90min'), 90 * 60 * 1000);
+  assert.equal(parseDuration('24h'), DAY_MS);
+  assert.equal(parseDuration('10d'), 10 * DAY_MS);
+  assert.equal(parseDuration('3 hours'), 3 * HOUR_MS);
+  assert.equal(parseDuration('2w'), 14 * DAY_MS);
+  assert.equal(parseDuration('1m'), 30 * DAY_MS);
+  assert.equal(parseDuration('1y'), 365 * DAY_MS);
+});
+
+test('parseDuration rejects anything else', () => {
+  assert.equal(parseDuration(''), null);
+  assert.equal(parseDuration(undefined), null);
+  assert.equal(parseDuration('10'), null);
+  assert.equal(parseDuration('d'), null);
+  assert.equal(parseDuration('5 fortnights'), null);
+  assert.equal(parseDuration('2024-03-01'), null);
+});
+
+test('parseDateInput accepts durations and ISO dates', () => {
+  assert.equal(parseDateInput('2d', NOW).getTime(), NOW.getTime() - 2 * DAY_MS);
+  assert.equal(parseDateInput('2026-03-01', NOW).toISOString(), '2026-03-01T00:00:00.000Z');
+  assert.equal(parseDateInput('2026-03-01T12:30:00Z', NOW).toISOString(), '2026-03-01T12:30:00.000Z');
+  assert.equal(parseDateInput('2026-03-01T12:30:00+02:00', NOW).toISOString(), '2026-03-01T10:30:00.000Z');
+});
+
+test('parseDateInput extends a date-only value to the end of the day on request', () => {
+  assert.equal(parseDateInput('2026-10-18', NOW, { endOfDay: true }).toISOString(), '2026-10-18T23:59:59.999Z');
+  assert.equal(
+    parseDateInput('2026-10-18T06:00:00Z', NOW, { endOfDay: true }).toISOString(),
+    '2026-10-18T06:00:00.000Z'
+  );
+});
+
+test('parseDateInput returns null for empty or malformed input', () => {
+  assert.equal(parseDateInput('', NOW), null);
+  assert.equal(parseDateInput(null, NOW), null);
+  assert.equal(parseDateInput('March 3', NOW), null);
+  assert.equal(parseDateInput('2026-13-45', NOW), null);
+  assert.equal(parseDateInput('03/01/2026', NOW), null);
+});
+
+test('validateDateRange accepts valid combinations', () => {
+  assert.equal(validateDateRange({}), null);
+  assert.equal(validateDateRange({ timePeriod: '10d' }), null);
+  assert.equal(validateDateRange({ since: '2025-03-01', until: '2025-03-31' }), null);
+  assert.equal(validateDateRange({ timePeriod: '30d', until: '2d' }), null);
+  assert.equal(validateDateRange({ since: '2025-03-01', until: '2025-03-01' }), null);
+});
+
+test('validateDateRange reports invalid combinations', () => {
+  assert.match(validateDateRange({ timePeriod: 'soon' }), /Invalid time period/);
+  assert.match(validateDateRange({ timePeriod: '10d', since: '2025-03-01' }), /either timePeriod or since/);
+  assert.match(validateDateRange({ since: 'yesterday' }), /since must be/);
+  assert.match(validateDateRange({ until: '31/03/2025' }), /until must be/);
+  assert.match(validateDateRange({ since: '2025-04-01', until: '2025-03-01' }), /before until/);
+  assert.match(validateDateRange({ timePeriod: '1d', until: '2d' }), /before until/);
+});
+
+test('resolveDateRange builds the range and its label', () => {
+  const fixed = resolveDateRange({ since: '2026-03-01', until: '2026-03-31', defaultDays: 30 }, NOW);
+  assert.equal(fixed.since.toISOString(), '2026-03-01T00:00:00.000Z');
+  assert.equal(fixed.until.toISOString(), '2026-03-31T23:59:59.999Z');
+  assert.equal(fixed.label, 'since 2026-03-01 until 2026-03-31');
+
+  const period = resolveDateRange({ timePeriod: '24h', defaultDays: 30 }, NOW);
+  assert.equal(period.since.getTime(), NOW.getTime() - DAY_MS);
+  assert.equal(period.until, null);
+  assert.equal(period.label, '24h');
+
+  const fallback = resolveDateRange({ defaultDays: 30 }, NOW);
+  assert.equal(fallback.since.getTime(), NOW.getTime() - 30 * DAY_MS);
+  assert.equal(fallback.label, 'last 30 days');
+});
+
+test('parseInstagramDate reads relative labels', () => {
+  const ago = ms => NOW.getTime() - ms;
+  assert.equal(parseInstagramDate('now', NOW).getTime(), NOW.getTime());
+  assert.equal(parseInstagramDate('Just now', NOW).getTime(), NOW.getTime());
+  assert.equal(parseInstagramDate('30s', NOW).getTime(), ago(30 * 1000));
+  assert.equal(parseInstagramDate('5m', NOW).getTime(), ago(5 * 60 * 1000));
+  assert.equal(parseInstagramDate('3h', NOW).getTime(), ago(3 * HOUR_MS));
+  assert.equal(parseInstagramDate('3 hours ago', NOW).getTime(), ago(3 * HOUR_MS));
+  assert.equal(parseInstagramDate('an hour ago', NOW).getTime(), ago(HOUR_MS));
+  assert.equal(parseInstagramDate('2 days ago', NOW).getTime(), ago(2 * DAY_MS));
+  assert.equal(parseInstagramDate('1w', NOW).getTime(), ago(7 * DAY_MS));
+  assert.equal(parseInstagramDate('Yesterday', NOW).getTime(), ago(DAY_MS));
+  assert.equal(parseInstagramDate(' • 4d ', NOW).getTime(), ago(4 * DAY_MS));
+});
+
+test('parseInstagramDate reads calendar labels', () => {
+  assert.deepEqual(localDay(parseInstagramDate('Mar 3, 2023', NOW)), [2023, 3, 3]);
+  assert.deepEqual(localDay(parseInstagramDate('3 March 2023', NOW)), [2023, 3, 3]);
+  assert.deepEqual(localDay(parseInstagramDate('mar. 3, 2023', NOW)), [2023, 3, 3]);
+  assert.deepEqual(localDay(parseInstagramDate('March 3', NOW)), [2026, 3, 3]);
+  assert.deepEqual(localDay(parseInstagramDate('October 19', NOW)), [2026, 10, 19]);
+  assert.equal(parseInstagramDate('2026-03-01T10:00:00.000Z', NOW).toISOString(), '2026-03-01T10:00:00.000Z');
+});
+
+test('parseInstagramDate never places a year-less label in the future', () => {
+  assert.deepEqual(localDay(parseInstagramDate('October 20', NOW)), [2025, 10, 20]);
+  assert.deepEqual(localDay(parseInstagramDate('December 25', NOW)), [2025, 12, 25]);
+  const earlyMorning = new Date(2026, 9, 19, 0, 30);
+  assert.deepEqual(localDay(parseInstagramDate('October 20', earlyMorning)), [2025, 10, 20]);
+  // A label one day ahead can only come from a zone far ahead of the server
+  const lateEvening = new Date(2026, 9, 19, 23, 0);
+  assert.deepEqual(localDay(parseInstagramDate('October 20', lateEvening)), [2026, 10, 20]);
+});
+
+test('parseInstagramDate returns null for text that is not a date', () => {
+  assert.equal(parseInstagramDate('', NOW), null);
+  assert.equal(parseInstagramDate(null, NOW), null);
+  assert.equal(parseInstagramDate('Liked by 20 people', NOW), null);
+  assert.equal(parseInstagramDate('5 apples', NOW), null);
+  assert.equal(parseInstagramDate('February 30, 2023', NOW), null);
+  assert.equal(parseInstagramDate('Smarch 3', NOW), null);
+});
+
+test('compareToRange places dates before, inside or after the range', () => {
+  const range = resolveDateRange({ since: '2026-10-01', until: '2026-10-18', defaultDays: 30 }, NOW);
+  assert.equal(compareToRange(new Date('2026-09-30T23:59:59Z'), range), -1);
+  assert.equal(compareToRange(new Date('2026-10-01T00:00:00Z'), range), 0);
+  assert.equal(compareToRange(new Date('2026-10-18T15:00:00Z'), range), 0);
+  assert.equal(compareToRange(new Date('2026-10-19T00:00:00Z'), range), 1);
+  assert.equal(compareToRange(null, range), 0);
+
+  const openEnded = resolveDateRange({ timePeriod: '7d', defaultDays: 30 }, NOW);
+  assert.equal(compareToRange(NOW, openEnded), 0);
+  assert.equal(compareToRange(new Date(NOW.getTime() - 8 * DAY_MS), openEnded), -1);
+});
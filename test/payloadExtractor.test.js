@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { EventEmitter } = require('events');
+const {
+  recordPayloads,
+  watchGridTimestamps,
+  buildRecordFromPayloads,
+  extractFromPayloads
+} = require('../payloadExtractor');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Stand-in for Instagram serving the recorded responses
+const ROUTES = {
+  '/graphql/query': { type: 'application/json; charset=utf-8', body: `for (;;);${fixture('graphql-post.json')}` },
+  '/api/v1/media/3498765432109876543/info/': { type: 'application/json', body: fixture('api-v1-reel.json') },
+  '/static/bundle.js': { type: 'application/javascript', body: 'window.__bundle = {"code":"C9aBcDeFgHi"};' },
+  '/graphql/broken': { type: 'text/html', body: '<html>login</html>' }
+};
+
+function startServer() {
+  const server = http.createServer((req, res) => {
+    const route = ROUTES[req.url];
+    if (!route) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': route.type });
+    res.end(route.body);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function fetchResponse(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        resolve({
+          url: () => url,
+          status: () => res.statusCode,
+          headers: () => res.headers,
+          text: async () => body
+        });
+      });
+    }).on('error', reject);
+  });
+}
+
+// Enough of a Puppeteer page for the payload recorder: it only listens to "response"
+function createFakePage(embeddedScripts = []) {
+  const page = new EventEmitter();
+  page.off = page.removeListener;
+  page.evaluate = async (fn, shortcode) => embeddedScripts.filter(text => text.includes(shortcode));
+  return page;
+}
+
+async function loadThrough(page, baseUrl, paths) {
+  for (const urlPath of paths) {
+    page.emit('response', await fetchResponse(`${baseUrl}${urlPath}`));
+  }
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+test('recordPayloads captures only JSON from GraphQL and API endpoints', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const page = createFakePage();
+  const payloads = recordPayloads(page);
+  await loadThrough(page, baseUrl, Object.keys(ROUTES));
+
+  assert.deepEqual(
+    payloads.map(payload => new URL(payload.url).pathname).sort(),
+    ['/api/v1/media/3498765432109876543/info/', '/graphql/query']
+  );
+  assert.ok(payloads.every(payload => payload.status === 200));
+});
+
+test('a recorded GraphQL carousel becomes a full record', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const page = createFakePage();
+  const payloads = recordPayloads(page);
+  await loadThrough(page, `http://127.0.0.1:${server.address().port}`, ['/graphql/query']);
+
+  const record = buildRecordFromPayloads(payloads, 'C9aBcDeFgHi');
+  assert.equal(record.shortcode, 'C9aBcDeFgHi');
+  assert.equal(record.likes, 10452);
+  assert.equal(record.commentsCount, 128);
+  assert.equal(record.views, null);
+  assert.deepEqual(record.owner, {
+    username: 'giva.co',
+    fullName: 'GIVA Jewellery',
+    profileUrl: 'https://www.instagram.com/giva.co/'
+  });
+  assert.equal(record.caption, 'Summer drop is live ☀️ #giva #silver with @friend.one');
+  assert.equal(record.timestamp, '2025-10-18T12:00:00.000Z');
+  assert.equal(record.location, 'Goa, India');
+  assert.deepEqual(record.media, [
+    {
+      type: 'image',
+      url: 'https://scontent.cdninstagram.com/v/t51/slide-1.jpg',
+      posterUrl: null,
+      width: 1080,
+      height: 1350,
+      altText: 'A silver ring on sand.',
+      userTags: ['friend.one']
+    },
+    {
+      type: 'video',
+      url: 'https://scontent.cdninstagram.com/o1/v/t16/slide-2.mp4',
+      posterUrl: 'https://scontent.cdninstagram.com/v/t51/slide-2-poster.jpg',
+      width: 1080,
+      height: 1920,
+      altText: '',
+      userTags: []
+    }
+  ]);
+});
+
+test('a recorded /api/v1/ reel picks the largest video and poster', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const page = createFakePage();
+  const payloads = recordPayloads(page);
+  await loadThrough(page, `http://127.0.0.1:${server.address().port}`, ['/api/v1/media/3498765432109876543/info/']);
+
+  const record = buildRecordFromPayloads(payloads, 'DAxYzReel01');
+  assert.equal(record.shortcode, 'DAxYzReel01');
+  assert.equal(record.likes, 2310);
+  assert.equal(record.commentsCount, 45);
+  assert.equal(record.views, 98765);
+  assert.equal(record.owner.username, 'giva.co');
+  assert.equal(record.caption, 'Behind the scenes #bts');
+  assert.equal(record.timestamp, '2025-10-17T12:00:00.000Z');
+  assert.equal(record.location, '');
+  assert.deepEqual(record.media, [
+    {
+      type: 'video',
+      url: 'https://scontent.cdninstagram.com/o1/v/t16/reel-720.mp4',
+      posterUrl: 'https://scontent.cdninstagram.com/v/t51/reel-poster.jpg',
+      width: 720,
+      height: 1280,
+      altText: '',
+      userTags: ['studio.crew']
+    }
+  ]);
+});
+
+test('buildRecordFromPayloads returns null when no payload holds the item', () => {
+  const payloads = [
+    { url: 'http://127.0.0.1/graphql/query', status: 200, body: fixture('graphql-post.json') },
+    { url: 'http://127.0.0.1/graphql/broken', status: 200, body: 'not json C9aBcDeFgHi' }
+  ];
+  assert.equal(buildRecordFromPayloads(payloads, 'UnknownCode'), null);
+  assert.equal(buildRecordFromPayloads(payloads, null), null);
+  assert.equal(buildRecordFromPayloads([], 'C9aBcDeFgHi'), null);
+  // A carousel slide is not mistaken for the post it belongs to
+  assert.equal(buildRecordFromPayloads(payloads, 'C9aBcDeFgH1'), null);
+});
+
+test('extractFromPayloads falls back to relay data embedded in the page', async () => {
+  const page = createFakePage([fixture('api-v1-reel.json'), '{"unrelated":true}']);
+
+  const record = await extractFromPayloads(page, [], 'DAxYzReel01');
+  assert.equal(record.shortcode, 'DAxYzReel01');
+  assert.equal(record.views, 98765);
+
+  assert.equal(await extractFromPayloads(page, [], 'UnknownCode'), null);
+});
+
+test('watchGridTimestamps dates tiles from responses and embedded page data', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const page = createFakePage();
+  // The grid reads every embedded script that mentions taken_at
+  page.evaluate = async () => [fixture('api-v1-reel.json')];
+
+  const grid = watchGridTimestamps(page);
+  await loadThrough(page, `http://127.0.0.1:${server.address().port}`, ['/graphql/query']);
+  await grid.readEmbedded();
+  grid.stop();
+
+  assert.equal(grid.timestamps.get('C9aBcDeFgHi'), '2025-10-18T12:00:00.000Z');
+  assert.equal(grid.timestamps.get('DAxYzReel01'), '2025-10-17T12:00:00.000Z');
+  assert.equal(page.listenerCount('response'), 0);
+});
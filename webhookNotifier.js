@@ -0,0 +1,118 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const WEBHOOK_SETTINGS = {
+  secret: process.env.WEBHOOK_SECRET || '',
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  baseDelayMs: parseInt(process.env.WEBHOOK_BASE_DELAY_MS) || 2000,
+  timeoutMs: 15000
+};
+
+function isValidWebhookUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Deliveries are always signed, so no webhook can be sent until WEBHOOK_SECRET is set
+function isWebhookSigningConfigured() {
+  return !!WEBHOOK_SETTINGS.secret;
+}
+
+// Receivers recompute HMAC-SHA256 over "<timestamp>.<raw body>" with the shared secret
+function signPayload(body, timestamp) {
+  return crypto
+    .createHmac('sha256', WEBHOOK_SETTINGS.secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      timeout: WEBHOOK_SETTINGS.timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      }
+    }, response => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+    request.on('timeout', () => request.destroy(new Error('Webhook request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function isRetryable(statusCode) {
+  return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// Retries network errors, 408, 429 and 5xx with exponential backoff; other 4xx give up at once
+async function deliverWebhook(url, payload) {
+  const deliveryId = crypto.randomUUID();
+  const body = JSON.stringify(payload);
+  const attempts = [];
+  let delivered = false;
+
+  if (!isWebhookSigningConfigured()) {
+    console.log(`⚠️ Webhook to ${new URL(url).host} not sent: WEBHOOK_SECRET is not set`);
+    return { deliveryId, url, event: payload.event, delivered, attempts, error: 'WEBHOOK_SECRET is not set' };
+  }
+
+  for (let attempt = 1; attempt <= WEBHOOK_SETTINGS.maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'X-Scraper-Event': payload.event,
+      'X-Scraper-Delivery': deliveryId,
+      'X-Scraper-Timestamp': timestamp,
+      'X-Scraper-Signature': `sha256=${signPayload(body, timestamp)}`
+    };
+
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+    try {
+      statusCode = await postJson(url, body, headers);
+    } catch (requestError) {
+      error = requestError.message;
+    }
+    attempts.push({
+      attempt,
+      at: new Date(startedAt).toISOString(),
+      statusCode,
+      error,
+      durationMs: Date.now() - startedAt
+    });
+
+    if (statusCode >= 200 && statusCode < 300) {
+      delivered = true;
+      break;
+    }
+    if (statusCode && !isRetryable(statusCode)) break;
+    if (attempt < WEBHOOK_SETTINGS.maxAttempts) {
+      const delay = WEBHOOK_SETTINGS.baseDelayMs * 2 ** (attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, delay + Math.floor(Math.random() * delay * 0.2)));
+    }
+  }
+
+  console.log(delivered
+    ? `📨 Webhook delivered to ${new URL(url).host} (${attempts.length} attempt(s))`
+    : `⚠️ Webhook delivery to ${new URL(url).host} failed after ${attempts.length} attempt(s)`);
+  return { deliveryId, url, event: payload.event, delivered, attempts };
+}
+
+module.exports = {
+  isValidWebhookUrl,
+  isWebhookSigningConfigured,
+  deliverWebhook
+};